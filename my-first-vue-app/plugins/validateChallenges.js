@@ -0,0 +1,109 @@
+import { readdirSync, readFileSync } from 'node:fs'
+import { join, relative } from 'node:path'
+import Ajv from 'ajv'
+import { describeSchemaErrors, findPatternProblems } from '../src/challenges/challengeProblems.js'
+
+/**
+ * Vite plugin that checks the challenge files in src/challenges
+ *
+ * Every chapter-NN/ directory needs a chapter.json, and every other JSON
+ * file in it is a challenge. They are validated against the schemas next
+ * to them, challenge ids must be unique across chapters and `matches`
+ * patterns must compile. Problems fail the build, and show up in the dev
+ * server's error overlay when a challenge file is edited.
+ */
+
+const CHAPTER_DIRECTORY = /^chapter-\d+$/
+const CHAPTER_FILE = 'chapter.json'
+
+const readJson = (file) => JSON.parse(readFileSync(file, 'utf8'))
+
+/**
+ * Problems with the challenge files, as messages naming the file
+ * @param {string} root - The src/challenges directory
+ * @returns {string[]}
+ */
+export function findChallengeProblems(root) {
+  const ajv = new Ajv({ allErrors: true })
+  const validateChapter = ajv.compile(readJson(join(root, 'chapter.schema.json')))
+  const validateChallenge = ajv.compile(readJson(join(root, 'challenge.schema.json')))
+
+  const problems = []
+  const seenIds = new Map()
+
+  const check = (file, validate) => {
+    const name = relative(root, file)
+    let data
+    try {
+      data = readJson(file)
+    } catch (error) {
+      problems.push(`${name}: ${error.message}`)
+      return null
+    }
+    if (!validate(data)) {
+      problems.push(`${name}: ${describeSchemaErrors(validate.errors).join('; ')}`)
+      return null
+    }
+    return { name, data }
+  }
+
+  const directories = readdirSync(root, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && CHAPTER_DIRECTORY.test(entry.name))
+    .map((entry) => entry.name)
+
+  directories.forEach((directory) => {
+    const files = readdirSync(join(root, directory)).filter((file) => file.endsWith('.json'))
+
+    if (!files.includes(CHAPTER_FILE)) {
+      problems.push(`${directory}: missing ${CHAPTER_FILE}`)
+    } else {
+      check(join(root, directory, CHAPTER_FILE), validateChapter)
+    }
+
+    files
+      .filter((file) => file !== CHAPTER_FILE)
+      .forEach((file) => {
+        const challenge = check(join(root, directory, file), validateChallenge)
+        if (!challenge) return
+
+        const { name, data } = challenge
+        if (seenIds.has(data.id)) {
+          problems.push(`${name}: id "${data.id}" is already used by ${seenIds.get(data.id)}`)
+        } else {
+          seenIds.set(data.id, name)
+        }
+
+        findPatternProblems(data).forEach((problem) => problems.push(`${name}: ${problem}`))
+      })
+  })
+
+  return problems
+}
+
+/**
+ * @param {string} root - The src/challenges directory
+ */
+export default function validateChallenges(root) {
+  const report = (context) => {
+    const problems = findChallengeProblems(root)
+    if (problems.length > 0) {
+      context.error(`Invalid challenge files:\n  ${problems.join('\n  ')}`)
+    }
+  }
+
+  return {
+    name: 'validate-challenges',
+    enforce: 'pre',
+
+    buildStart() {
+      report(this)
+    },
+
+    transform(code, id) {
+      if (id.startsWith(root) && id.endsWith('.json')) {
+        report(this)
+      }
+      return null
+    }
+  }
+}
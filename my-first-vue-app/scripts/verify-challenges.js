@@ -0,0 +1,166 @@
+import ts from 'typescript'
+import { createServer } from 'vite'
+
+/**
+ * Check that every challenge can be solved, and is not solved already
+ *
+ * Each challenge's solution and starter code go through the app's own
+ * execution pipeline (useCodeExecution) into a headless sandbox, which runs
+ * them against a real THREE.Scene with rendering stubbed out; then the
+ * challenge's own validationFn checks them. The solution must pass every
+ * check and the starter code must run and fail at least one. Exits with 1
+ * when a challenge does not hold up. No browser needed:
+ *
+ *   npm run verify:challenges
+ *
+ * Image checks need real renders and are left to `npm run verify:images`.
+ * TypeScript challenges are transpiled with the `typescript` package, with
+ * the options the editor uses.
+ */
+
+const describeFailures = (results) => {
+  return results
+    .filter((result) => !result.passed)
+    .map((result) => `${result.name}: ${result.message || 'failed'}`)
+    .join('; ')
+}
+
+/**
+ * Node stand-in for transpileTypeScript() (src/components/editor/typescript.js),
+ * which needs Monaco's TypeScript service
+ */
+const createTranspiler = (createSourceMapper) => async (code) => {
+  const { outputText, sourceMapText, diagnostics } = ts.transpileModule(code, {
+    fileName: 'challenge.ts',
+    reportDiagnostics: true,
+    compilerOptions: {
+      target: ts.ScriptTarget.ES2020,
+      module: ts.ModuleKind.ESNext,
+      moduleDetection: ts.ModuleDetectionKind.Force,
+      strict: true,
+      esModuleInterop: true,
+      sourceMap: true
+    }
+  })
+
+  const [diagnostic] = diagnostics
+  if (diagnostic) {
+    const { line, character } = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start)
+    const syntaxError = new SyntaxError(ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n'))
+    syntaxError.line = line + 1
+    syntaxError.column = character + 1
+    throw syntaxError
+  }
+
+  return {
+    code: outputText
+      .replace(/\n\/\/# sourceMappingURL=.*\s*$/, '\n')
+      .replace(/\nexport \{\};\s*$/, '\n'),
+    toSourcePosition: createSourceMapper(JSON.parse(sourceMapText))
+  }
+}
+
+const main = async () => {
+  const server = await createServer({ logLevel: 'error', server: { middlewareMode: true } })
+
+  try {
+    const THREE = await server.ssrLoadModule('three')
+    const { createHeadlessSandbox } = await server.ssrLoadModule('/src/sandbox/headlessRuntime.js')
+    const { useCodeExecution } = await server.ssrLoadModule('/src/composables/useCodeExecution.js')
+    const { useChallenges } = await server.ssrLoadModule('/src/composables/useChallenges.js')
+    const { createSourceMapper } = await server.ssrLoadModule('/src/components/editor/sourceMap.js')
+
+    const objectLoader = new THREE.ObjectLoader()
+    const { executeCode, simulateCode } = useCodeExecution({
+      transpile: createTranspiler(createSourceMapper)
+    })
+
+    // Same contract as InteractiveCanvas.simulate()
+    const simulate = async (sandbox, code, language, options = {}) => {
+      const { success, error, result } = await simulateCode(code, sandbox, { ...options, language })
+      if (!success) return { error }
+
+      const { snapshot, samples, fps } = result
+      return {
+        error: null,
+        scene: snapshot ? objectLoader.parse(snapshot.scene) : null,
+        camera: snapshot ? objectLoader.parse(snapshot.camera) : null,
+        renderer: snapshot ? snapshot.renderer : null,
+        samples,
+        fps
+      }
+    }
+
+    /**
+     * Run code like the Run Tests button does
+     * @returns {Promise<{ error: string|null, results: object[] }>} Results
+     *   of every check but the image checks
+     */
+    const runChallenge = async (challenge, code) => {
+      const { language } = challenge
+      const sandbox = createHeadlessSandbox()
+
+      try {
+        const run = await executeCode(code, sandbox, { language })
+        if (!run.success) {
+          const { message, line } = run.error
+          return { error: line ? `${message} (line ${line})` : message, results: [] }
+        }
+
+        const { snapshot } = run
+        const results = await challenge.validationFn(code, objectLoader.parse(snapshot.scene), {
+          camera: objectLoader.parse(snapshot.camera),
+          renderer: snapshot.renderer,
+          simulate: (options) => simulate(sandbox, code, language, options),
+          renderImage: () => Promise.resolve(null)
+        })
+        return {
+          error: null,
+          results: results.filter((result, index) => challenge.checks[index].type !== 'image')
+        }
+      } finally {
+        sandbox.reload()
+      }
+    }
+
+    const challenges = useChallenges().chapters.flatMap((chapter) => chapter.challenges)
+    const failures = []
+
+    for (const challenge of challenges) {
+      const problems = []
+      const solution = await runChallenge(challenge, challenge.solution)
+      if (solution.error) {
+        problems.push(`the solution throws: ${solution.error}`)
+      } else if (!solution.results.every((result) => result.passed)) {
+        problems.push(`the solution fails ${describeFailures(solution.results)}`)
+      }
+
+      const starter = await runChallenge(challenge, challenge.starterCode)
+      if (starter.error) {
+        problems.push(`the starter code throws: ${starter.error}`)
+      } else if (starter.results.every((result) => result.passed)) {
+        problems.push('the starter code already passes')
+      }
+
+      if (problems.length > 0) {
+        failures.push(challenge.id)
+        console.log(`✗ ${challenge.id}`)
+        problems.forEach((problem) => console.log(`    ${problem}`))
+      } else {
+        console.log(`✓ ${challenge.id}`)
+      }
+    }
+
+    console.log(`\n${challenges.length - failures.length} of ${challenges.length} challenge(s) hold up`)
+    if (failures.length > 0) {
+      process.exitCode = 1
+    }
+  } finally {
+    await server.close()
+  }
+}
+
+main().catch((error) => {
+  console.error(error)
+  process.exitCode = 1
+})
@@ -0,0 +1,135 @@
+import { createServer } from 'vite'
+import { chromium } from 'playwright'
+
+/**
+ * Check that every image check can tell a solution from its starter code
+ *
+ * The challenges are rendered the way the app renders them: the sandbox page
+ * runs in headless Chromium, with SwiftShader standing in for a GPU, and the
+ * challenge's own validationFn compares the renders. For each challenge with
+ * image checks, its solution must pass them (so the renders are stable) and
+ * its starter code must fail them (so they check something). Exits with 1
+ * when one does not.
+ *
+ *   npx playwright install chromium
+ *   npm run verify:images
+ */
+
+const RENDER_TIMEOUT = 30000
+
+const CHROMIUM_ARGS = ['--use-angle=swiftshader', '--enable-unsafe-swiftshader']
+
+/**
+ * Send a request to the sandbox page and wait for its answer; the page is
+ * its own parent, so it talks to itself
+ */
+const requestInPage = ({ channel, type, responseType, payload, timeout }) => {
+  const id = `verify-${Math.random().toString(36).slice(2)}`
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No answer to ${type}`)), timeout)
+    const onMessage = (event) => {
+      const { data } = event
+      if (!data || data.channel !== channel || data.type !== responseType || data.id !== id) return
+      clearTimeout(timer)
+      window.removeEventListener('message', onMessage)
+      const { result } = data.payload
+      // Typed arrays do not survive the trip back to Node
+      const pixels = result ? Array.from(result.pixels) : null
+      resolve(result ? { ...data.payload, result: { ...result, pixels } } : data.payload)
+    }
+    window.addEventListener('message', onMessage)
+    window.postMessage({ channel, type, id, payload }, '*')
+  })
+}
+
+const describeResults = (results) => {
+  return results.map((result) => `${result.name}: ${result.message || 'passed'}`).join('; ')
+}
+
+const main = async () => {
+  const server = await createServer({ logLevel: 'error', server: { port: 0 } })
+  await server.listen()
+  const browser = await chromium.launch({ args: CHROMIUM_ARGS })
+
+  try {
+    const { SANDBOX_CHANNEL, MessageType } = await server.ssrLoadModule('/src/sandbox/protocol.js')
+    const { instrumentCode } = await server.ssrLoadModule('/src/sandbox/instrument.js')
+    const { useChallenges } = await server.ssrLoadModule('/src/composables/useChallenges.js')
+
+    const page = await browser.newPage()
+    page.on('pageerror', (error) => console.error(`Sandbox error: ${error.message}`))
+    // The sandbox announces itself once, as soon as its script has run
+    await page.addInitScript(
+      ({ channel, readyType }) => {
+        window.addEventListener('message', ({ data }) => {
+          if (data && data.channel === channel && data.type === readyType) {
+            window.sandboxReady = true
+          }
+        })
+      },
+      { channel: SANDBOX_CHANNEL, readyType: MessageType.READY }
+    )
+    await page.goto(new URL('sandbox.html', server.resolvedUrls.local[0]).href)
+    await page.waitForFunction(() => window.sandboxReady === true)
+
+    // Same contract as InteractiveCanvas.renderImage()
+    const renderImage = async (code, options) => {
+      try {
+        const instrumented = instrumentCode(code)
+        const response = await page.evaluate(requestInPage, {
+          channel: SANDBOX_CHANNEL,
+          type: MessageType.RENDER_IMAGE,
+          responseType: MessageType.RESPONSE,
+          payload: { ...options, code: instrumented.code, imports: instrumented.imports },
+          timeout: RENDER_TIMEOUT
+        })
+        if (!response.success) return { error: response.error }
+        const { result } = response
+        return { error: null, ...result, pixels: Uint8ClampedArray.from(result.pixels) }
+      } catch (error) {
+        return { error: { message: error.message } }
+      }
+    }
+
+    // Only the image checks' results count; the others need a live scene
+    const imageResults = async (challenge, code) => {
+      const results = await challenge.validationFn(code, null, { renderImage })
+      return results.filter((result, index) => challenge.checks[index].type === 'image')
+    }
+
+    const challenges = useChallenges()
+      .chapters.flatMap((chapter) => chapter.challenges)
+      .filter((challenge) => challenge.checks.some((check) => check.type === 'image'))
+
+    const failures = []
+    for (const challenge of challenges) {
+      const solutionResults = await imageResults(challenge, challenge.solution)
+      if (!solutionResults.every((result) => result.passed)) {
+        failures.push(`${challenge.id}: the solution fails (${describeResults(solutionResults)})`)
+      }
+
+      const starterResults = await imageResults(challenge, challenge.starterCode)
+      const passing = starterResults.filter((result) => result.passed)
+      if (passing.length > 0) {
+        const names = passing.map((result) => result.name).join(', ')
+        failures.push(`${challenge.id}: the starter code already passes ${names}`)
+      }
+      console.log(`${challenge.id}: checked`)
+    }
+
+    if (failures.length > 0) {
+      failures.forEach((failure) => console.error(failure))
+      process.exitCode = 1
+    } else {
+      console.log(`Image checks of ${challenges.length} challenge(s) are fine`)
+    }
+  } finally {
+    await browser.close()
+    await server.close()
+  }
+}
+
+main().catch((error) => {
+  console.error(error)
+  process.exitCode = 1
+})
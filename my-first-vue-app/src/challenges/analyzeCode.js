@@ -0,0 +1,475 @@
+import * as THREE from 'three'
+import { parseUserCode, walk } from '../sandbox/instrument'
+import { matchesValue } from './expectScene'
+
+/**
+ * Static analysis of user code for challenge validators
+ *
+ *   const code = analyzeCode(source)
+ *   code.constructions('SphereGeometry', { args: [{ min: 0.5 }] })
+ *   code.calls('scene.add', { args: [{ construct: 'Mesh' }] })
+ *   code.assignments('position.x', { value: 2 })
+ *   code.assignments('rotation.*', { operator: '+=', inside: 'onFrame' })
+ *
+ * Queries return what matched, each with its `line` and `source`, so
+ * callers can also report what was found instead. Comments and strings
+ * never match, unlike a text search.
+ *
+ * Values are folded to constants where that is simple: literals,
+ * arithmetic, Math and THREE constants, and variables that are assigned
+ * once, so `const s = 2; new THREE.BoxGeometry(s, s, s)` has args [2, 2, 2].
+ * `new X(...)` folds to a Construction, so a variable holding a mesh can be
+ * recognized where it is passed on.
+ *
+ * Names and paths match from the end, segment by segment, and may use
+ * `*` as a wildcard: 'add' matches `scene.add` and 'intersectObject*'
+ * matches `raycaster.intersectObjects`.
+ *
+ * Expected values (`args`, `value`) are compared like scene specs in
+ * expectScene.js, plus:
+ * - '#rrggbb' matches any color constant: 0xff0000, 'red' or '#f00'
+ * - { construct: 'Mesh', args? } matches the value of a `new THREE.Mesh(...)`
+ * - { anyOf: [...] } matches any of the values
+ * - null matches anything, e.g. to skip an argument
+ * - a plain object matches an object literal that has those properties
+ */
+
+// Folded value for anything that is not a simple constant
+export const UNKNOWN = Symbol('unknown')
+
+const MATH_FUNCTIONS = new Set([
+  'abs',
+  'sqrt',
+  'min',
+  'max',
+  'round',
+  'floor',
+  'ceil',
+  'sin',
+  'cos',
+  'tan',
+  'pow'
+])
+
+const BINARY_OPERATORS = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '%': (a, b) => a % b,
+  '**': (a, b) => a ** b,
+  '|': (a, b) => a | b,
+  '&': (a, b) => a & b,
+  '^': (a, b) => a ^ b,
+  '<<': (a, b) => a << b,
+  '>>': (a, b) => a >> b
+}
+
+const UNARY_OPERATORS = {
+  '-': (a) => -a,
+  '+': (a) => +a,
+  '!': (a) => !a,
+  '~': (a) => ~a
+}
+
+const VECTOR_AXES = ['x', 'y', 'z', 'w']
+
+// Object keys whose numbers are shown as hex colors
+const COLOR_KEY = /^(color|emissive|groundColor|specular)$/
+
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression'
+])
+
+/**
+ * The folded value of `new Name(...args)`
+ */
+export class Construction {
+  constructor(className, args, node) {
+    this.className = className
+    this.args = args
+    this.node = node
+  }
+}
+
+const isPrimitive = (value) => value === null || typeof value !== 'object'
+
+const isPlainObject = (value) => {
+  return (
+    value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype
+  )
+}
+
+const isColorString = (value) => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)
+
+/**
+ * A color constant as a hex number, or null when it is not one
+ */
+const colorHex = (value) => {
+  if (typeof value === 'number' && Number.isInteger(value)) return value
+  if (typeof value !== 'string') return null
+
+  const text = value.trim().toLowerCase()
+  if (text in THREE.Color.NAMES) return THREE.Color.NAMES[text]
+  if (/^#[0-9a-f]{6}$/.test(text)) return parseInt(text.slice(1), 16)
+  if (/^#[0-9a-f]{3}$/.test(text)) {
+    return parseInt([...text.slice(1)].map((digit) => digit + digit).join(''), 16)
+  }
+  return null
+}
+
+const segmentPattern = (segment) => {
+  const escaped = segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')
+  return new RegExp(`^${escaped}$`)
+}
+
+/**
+ * Whether a dotted path ends with the segments of a pattern
+ */
+export const matchesPath = (path, pattern) => {
+  const segments = path.split('.')
+  const wanted = pattern.split('.')
+  if (wanted.length > segments.length) return false
+
+  const tail = segments.slice(segments.length - wanted.length)
+  return wanted.every((segment, index) => segmentPattern(segment).test(tail[index]))
+}
+
+/**
+ * Whether a folded value satisfies an expected value; see the module comment
+ */
+export const matchesFolded = (actual, expected) => {
+  if (expected === null) return true
+  if (actual === UNKNOWN) return false
+
+  if (isColorString(expected)) {
+    return colorHex(actual) === parseInt(expected.slice(1), 16)
+  }
+
+  if (isPlainObject(expected)) {
+    if ('anyOf' in expected) return expected.anyOf.some((option) => matchesFolded(actual, option))
+
+    if ('construct' in expected) {
+      return (
+        actual instanceof Construction &&
+        segmentPattern(expected.construct).test(actual.className) &&
+        matchesArgs(actual.args, expected.args)
+      )
+    }
+
+    if (isPlainObject(actual)) {
+      return Object.entries(expected).every(([key, value]) => matchesFolded(actual[key], value))
+    }
+  }
+
+  return matchesValue(actual, expected)
+}
+
+const matchesArgs = (args, expected) => {
+  if (!expected) return true
+  return expected.every((value, index) => matchesFolded(args[index], value))
+}
+
+/**
+ * A folded value for messages
+ */
+export const formatFolded = (value, key = '') => {
+  if (value === UNKNOWN) return '?'
+  if (value instanceof Construction) return `new ${value.className}(…)`
+  if (typeof value === 'string') return `'${value}'`
+  if (Array.isArray(value)) return `[${value.map((item) => formatFolded(item)).join(', ')}]`
+  if (isPlainObject(value)) {
+    const entries = Object.entries(value).map(
+      ([name, item]) => `${name}: ${formatFolded(item, name)}`
+    )
+    return `{ ${entries.join(', ')} }`
+  }
+  if (COLOR_KEY.test(key) && Number.isInteger(value) && value >= 0) {
+    return `0x${value.toString(16).padStart(6, '0')}`
+  }
+  return String(value)
+}
+
+/**
+ * Parse and index user code
+ * @param {string} code - JavaScript; TypeScript has to be transpiled first
+ * @throws {SyntaxError} When the code does not parse
+ */
+export function analyzeCode(code) {
+  const ast = parseUserCode(code)
+
+  // Declarations and reassignments by variable name
+  const bindings = new Map()
+  const binding = (name) => {
+    if (!bindings.has(name)) bindings.set(name, { inits: [], writes: 0 })
+    return bindings.get(name)
+  }
+
+  const news = []
+  const calls = []
+  const assignments = []
+
+  const declareParams = (params) => {
+    params.forEach((param) => {
+      walk(param, (node) => {
+        if (node.type === 'Identifier') binding(node.name).writes++
+      })
+    })
+  }
+
+  walk(ast, (node, ancestors) => {
+    // Only kept for nodes that queries look at; `ancestors` is reused by walk()
+    const context = () => ({ node, ancestors: [...ancestors] })
+
+    switch (node.type) {
+      case 'VariableDeclarator':
+        if (node.id.type === 'Identifier') {
+          binding(node.id.name).inits.push(node.init)
+        } else {
+          declareParams([node.id])
+        }
+        break
+      case 'FunctionDeclaration':
+      case 'ClassDeclaration':
+        if (node.id) binding(node.id.name).writes++
+        if (node.params) declareParams(node.params)
+        break
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+        declareParams(node.params)
+        break
+      case 'CatchClause':
+        if (node.param) declareParams([node.param])
+        break
+      case 'UpdateExpression':
+        if (node.argument.type === 'Identifier') binding(node.argument.name).writes++
+        break
+      case 'AssignmentExpression':
+        if (node.left.type === 'Identifier') {
+          binding(node.left.name).writes++
+        } else {
+          assignments.push(context())
+        }
+        break
+      case 'NewExpression':
+        news.push(context())
+        break
+      case 'CallExpression':
+        calls.push(context())
+        break
+    }
+  })
+
+  /**
+   * The constant value of an expression, or UNKNOWN
+   */
+  const fold = (node, seen = new Set()) => {
+    if (!node) return undefined
+
+    switch (node.type) {
+      case 'Literal':
+        return node.regex ? UNKNOWN : node.value
+
+      case 'TemplateLiteral': {
+        const values = node.expressions.map((expression) => fold(expression, seen))
+        if (values.some((value) => !isPrimitive(value) || value === UNKNOWN)) return UNKNOWN
+        return node.quasis
+          .map((quasi, index) => quasi.value.cooked + (values[index] ?? ''))
+          .join('')
+      }
+
+      case 'UnaryExpression': {
+        const operate = UNARY_OPERATORS[node.operator]
+        const value = fold(node.argument, seen)
+        return operate && isPrimitive(value) && value !== UNKNOWN ? operate(value) : UNKNOWN
+      }
+
+      case 'BinaryExpression': {
+        const operate = BINARY_OPERATORS[node.operator]
+        const left = fold(node.left, seen)
+        const right = fold(node.right, seen)
+        const known = [left, right].every((value) => isPrimitive(value) && value !== UNKNOWN)
+        return operate && known ? operate(left, right) : UNKNOWN
+      }
+
+      case 'Identifier': {
+        if (node.name === 'undefined') return undefined
+        // Only variables declared once and never reassigned are constants
+        const declared = bindings.get(node.name)
+        const constant = declared && declared.writes === 0 && declared.inits.length === 1
+        if (!constant || seen.has(node.name)) return UNKNOWN
+        return fold(declared.inits[0], new Set([...seen, node.name]))
+      }
+
+      case 'MemberExpression': {
+        const path = memberPath(node)
+        if (path === 'Math.PI' || path === 'Math.E') return Math[path.slice(5)]
+        if (path && path.startsWith('THREE.') && path.split('.').length === 2) {
+          const value = THREE[path.slice(6)]
+          return isPrimitive(value) ? value : UNKNOWN
+        }
+
+        const object = fold(node.object, seen)
+        const key = node.computed ? fold(node.property, seen) : node.property.name
+        if ((Array.isArray(object) || isPlainObject(object)) && isPrimitive(key)) {
+          return Object.hasOwn(object, key) ? object[key] : UNKNOWN
+        }
+        return UNKNOWN
+      }
+
+      case 'CallExpression': {
+        const path = memberPath(node.callee)
+        const name = path && path.startsWith('Math.') ? path.slice(5) : null
+        if (!MATH_FUNCTIONS.has(name)) return UNKNOWN
+        const args = node.arguments.map((arg) => fold(arg, seen))
+        return args.every((arg) => typeof arg === 'number') ? Math[name](...args) : UNKNOWN
+      }
+
+      case 'NewExpression':
+        return new Construction(
+          lastSegment(memberPath(node.callee)),
+          node.arguments.map((arg) => fold(arg, seen)),
+          node
+        )
+
+      case 'ObjectExpression': {
+        const object = {}
+        node.properties.forEach((property) => {
+          if (property.type !== 'Property' || property.kind !== 'init') return
+          const key = property.computed
+            ? fold(property.key, seen)
+            : property.key.name ?? property.key.value
+          if (isPrimitive(key) && key !== UNKNOWN) object[key] = fold(property.value, seen)
+        })
+        return object
+      }
+
+      case 'ArrayExpression':
+        return node.elements.map((element) => fold(element, seen))
+
+      default:
+        return UNKNOWN
+    }
+  }
+
+  /**
+   * Dotted path of an identifier or member expression, e.g.
+   * 'cube.position.x'; computed keys that do not fold become '[]'
+   */
+  const memberPath = (node) => {
+    if (node.type === 'Identifier') return node.name
+    if (node.type === 'ThisExpression') return 'this'
+    if (node.type !== 'MemberExpression') return null
+
+    const object = memberPath(node.object)
+    if (object === null) return null
+    if (!node.computed) return `${object}.${node.property.name}`
+
+    const key = fold(node.property)
+    return `${object}.${isPrimitive(key) && key !== UNKNOWN ? key : '[]'}`
+  }
+
+  const lastSegment = (path) => (path ? path.slice(path.lastIndexOf('.') + 1) : '?')
+
+  const sourceOf = (node) => code.slice(node.start, node.end)
+
+  /**
+   * Whether a node sits inside a function passed to a call of `callee`,
+   * e.g. inside the callback of onFrame(...)
+   */
+  const isInside = ({ ancestors }, callee) => {
+    return ancestors.some((ancestor, index) => {
+      const next = ancestors[index + 1]
+      return (
+        ancestor.type === 'CallExpression' &&
+        FUNCTION_TYPES.has(next && next.type) &&
+        ancestor.arguments.includes(next) &&
+        matchesPath(memberPath(ancestor.callee) || '', callee)
+      )
+    })
+  }
+
+  const describeCall = (context, path) => ({
+    node: context.node,
+    line: context.node.loc.start.line,
+    source: sourceOf(context.node),
+    path,
+    args: context.node.arguments.map((arg) => fold(arg)),
+    context
+  })
+
+  /**
+   * `new Name(...)` expressions, e.g. constructions('SphereGeometry')
+   * @param {string} name - Class name; THREE. prefixes do not matter
+   * @param {{ args?: any[], inside?: string }} options
+   */
+  const constructions = (name, { args, inside } = {}) => {
+    return news
+      .map((context) => describeCall(context, memberPath(context.node.callee) || '?'))
+      .filter((found) => segmentPattern(name).test(lastSegment(found.path)))
+      .filter((found) => matchesArgs(found.args, args))
+      .filter((found) => !inside || isInside(found.context, inside))
+  }
+
+  /**
+   * Function and method calls, e.g. calls('scene.add')
+   * @param {string} path - Callee path, matched from the end
+   * @param {{ args?: any[], inside?: string }} options
+   */
+  const callsTo = (path, { args, inside } = {}) => {
+    return calls
+      .map((context) => describeCall(context, memberPath(context.node.callee)))
+      .filter((found) => found.path && matchesPath(found.path, path))
+      .filter((found) => matchesArgs(found.args, args))
+      .filter((found) => !inside || isInside(found.context, inside))
+  }
+
+  // Property writes: `a.b = c`, `a.b += c` and vector `a.position.set(x, y, z)`
+  const writes = [
+    ...assignments.map((context) => ({
+      node: context.node,
+      line: context.node.loc.start.line,
+      source: sourceOf(context.node),
+      path: memberPath(context.node.left),
+      operator: context.node.operator,
+      value: context.node.operator === '=' ? fold(context.node.right) : UNKNOWN,
+      context
+    })),
+    ...calls.flatMap((context) => {
+      const path = memberPath(context.node.callee)
+      if (!path || !path.endsWith('.set') || context.node.arguments.length < 2) return []
+      return context.node.arguments.slice(0, VECTOR_AXES.length).map((arg, index) => ({
+        node: context.node,
+        line: context.node.loc.start.line,
+        source: sourceOf(context.node),
+        path: `${path.slice(0, -'.set'.length)}.${VECTOR_AXES[index]}`,
+        operator: '=',
+        value: fold(arg),
+        context
+      }))
+    })
+  ].filter((write) => write.path)
+
+  /**
+   * Property assignments, e.g. assignments('position.x', { value: 2 })
+   * @param {string} path - Property path, matched from the end
+   * @param {{ value?: any, operator?: string, inside?: string }} options
+   */
+  const assignmentsTo = (path, { value, operator, inside } = {}) => {
+    return writes
+      .filter((write) => matchesPath(write.path, path))
+      .filter((write) => !operator || write.operator === operator)
+      .filter((write) => value === undefined || matchesFolded(write.value, value))
+      .filter((write) => !inside || isInside(write.context, inside))
+  }
+
+  return {
+    ast,
+    fold,
+    constructions,
+    calls: callsTo,
+    assignments: assignmentsTo
+  }
+}
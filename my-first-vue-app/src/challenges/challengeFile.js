@@ -0,0 +1,133 @@
+import Ajv from 'ajv'
+import schema from './challenge.schema.json'
+import { describeSchemaErrors, findPatternProblems } from './challengeProblems'
+
+/**
+ * Challenge files as the authoring view edits them
+ *
+ * The editable draft keeps code as plain strings and the requirements and
+ * hints as one item per line; toChallengeFile() turns it into the JSON
+ * stored in src/challenges/chapter-NN/, with code as lists of lines the
+ * way the existing files have it.
+ */
+
+const validate = new Ajv({ allErrors: true }).compile(schema)
+
+// Written into exported files so editors pick up the schema next to them
+const SCHEMA_REFERENCE = '../challenge.schema.json'
+
+/**
+ * What a new check of each type starts with
+ */
+export const CHECK_TEMPLATES = {
+  code: { type: 'code', name: '', calls: '' },
+  scene: { type: 'scene', name: '', find: { type: 'Mesh' } },
+  camera: { type: 'camera', name: '', find: {} },
+  renderer: { type: 'renderer', name: '', find: {} },
+  motion: { type: 'motion', name: '', find: {}, changes: 'rotation.y' },
+  image: { type: 'image', name: '' }
+}
+
+/**
+ * A blank challenge to start from
+ */
+export const createDraft = () => ({
+  id: '',
+  title: '',
+  difficulty: 'easy',
+  language: 'javascript',
+  description: '',
+  requirements: '',
+  hints: '',
+  starterCode: '',
+  solution: '',
+  showSolution: true,
+  checks: []
+})
+
+const toLines = (text) => {
+  return text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+}
+
+const toCodeLines = (code) => code.split('\n')
+
+const fromCode = (code) => (Array.isArray(code) ? code.join('\n') : code || '')
+
+/**
+ * Build the challenge file for a draft
+ * @param {object} draft - See createDraft()
+ * @returns {object} Ready for JSON.stringify()
+ */
+export const toChallengeFile = (draft) => {
+  const file = {
+    $schema: SCHEMA_REFERENCE,
+    id: draft.id,
+    order: draft.order,
+    title: draft.title,
+    difficulty: draft.difficulty,
+    // JavaScript is the default
+    language: draft.language === 'javascript' ? undefined : draft.language,
+    description: draft.description,
+    requirements: toLines(draft.requirements),
+    hints: toLines(draft.hints),
+    starterCode: toCodeLines(draft.starterCode),
+    checks: draft.checks,
+    solution: toCodeLines(draft.solution),
+    showSolution: draft.showSolution,
+    solutionUnlock: draft.solutionUnlock,
+    scoring: draft.scoring,
+    simulation: draft.simulation
+  }
+  // Same key order as the files in src/challenges, without the unset ones
+  return Object.fromEntries(Object.entries(file).filter(([, value]) => value !== undefined))
+}
+
+/**
+ * Turn a challenge file back into a draft
+ */
+export const fromChallengeFile = (data) => {
+  const rest = { ...data }
+  delete rest.$schema
+  return {
+    ...createDraft(),
+    ...rest,
+    requirements: (data.requirements || []).join('\n'),
+    hints: (data.hints || []).join('\n'),
+    starterCode: fromCode(data.starterCode),
+    solution: fromCode(data.solution),
+    checks: data.checks || []
+  }
+}
+
+/**
+ * What stops a challenge file from being used
+ * @param {object} data - A challenge file
+ * @param {{ takenIds?: string[] }} [options] - Ids of challenges already in the app
+ * @returns {string[]}
+ */
+export const findChallengeFileProblems = (data, { takenIds = [] } = {}) => {
+  if (!validate(data)) return describeSchemaErrors(validate.errors)
+
+  const problems = findPatternProblems(data)
+  if (takenIds.includes(data.id)) {
+    problems.push(`id "${data.id}" is already used by another challenge`)
+  }
+  return problems
+}
+
+/**
+ * Read a challenge file picked by the user
+ * @param {File} file
+ * @returns {Promise<object>} The parsed file
+ */
+export const readChallengeFile = async (file) => {
+  const text = await file.text()
+  try {
+    return JSON.parse(text)
+  } catch (error) {
+    throw new Error(`${file.name} is not a challenge file: ${error.message}`)
+  }
+}
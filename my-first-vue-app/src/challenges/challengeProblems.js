@@ -0,0 +1,37 @@
+/**
+ * Problem messages for challenge files, shared by the build-time check
+ * (plugins/validateChallenges.js) and the authoring view
+ */
+
+const describeError = ({ instancePath, message, params }) => {
+  const extra = params.additionalProperty ? ` "${params.additionalProperty}"` : ''
+  return `${instancePath || '/'} ${message}${extra}`
+}
+
+/**
+ * Turn Ajv errors into readable lines
+ * @param {object[]} errors - `validate.errors` after a failed validation
+ * @returns {string[]}
+ */
+export const describeSchemaErrors = (errors) => {
+  // "must match then/else schema" only repeats the errors of the branch
+  return errors.filter((error) => error.keyword !== 'if').map(describeError)
+}
+
+/**
+ * Checks whose `matches` pattern is not a valid regular expression
+ * @param {{ checks: object[] }} data - A challenge that passed the schema
+ * @returns {string[]}
+ */
+export const findPatternProblems = (data) => {
+  return data.checks
+    .filter((item) => item.matches !== undefined)
+    .flatMap((item) => {
+      try {
+        new RegExp(item.matches, item.flags)
+        return []
+      } catch (error) {
+        return [`check "${item.name}" has a bad pattern: ${error.message}`]
+      }
+    })
+}
@@ -0,0 +1,326 @@
+import { expectScene } from './expectScene'
+import { expectMotion } from './expectMotion'
+import { compareImages } from './compareImages'
+import { analyzeCode, formatFolded } from './analyzeCode'
+
+/**
+ * Declarative challenge checks
+ *
+ * Challenge files describe their tests as data (see challenge.schema.json);
+ * this module turns them into the validation function CodeChallenge.vue
+ * runs against the user's code and the scene it built.
+ *
+ * Check shapes:
+ *   { type: 'code', name, includes: string | string[], message? }
+ *   { type: 'code', name, matches: 'regex', flags?, message? }
+ *   { type: 'code', name, constructs: 'SphereGeometry', args?, inside?, count?, message? }
+ *   { type: 'code', name, calls: 'scene.add', args?, inside?, count?, message? }
+ *   { type: 'code', name, assigns: 'position.x', value?, operator?, inside?, count?, message? }
+ *   { type: 'scene', name, find: { 'path.to.property': expected }, count?, message? }
+ *   { type: 'camera', name, find, message? }
+ *   { type: 'renderer', name, find, message? }
+ *   { type: 'motion', name, find, increases | decreases | changes: 'rotation.y', message? }
+ *   { type: 'motion', name, find, orbits: { period?, plane? }, message? }
+ *   { type: 'motion', name, find, within: { 'worldPosition.y': [min, max] }, message? }
+ *   { type: 'motion', name, find, rates: { 'rotation.y': expected per second }, message? }
+ *   { type: 'image', name, view?, size?, frames?, threshold?, maxDifference?, message? }
+ *
+ * `constructs`, `calls` and `assigns` look at the parsed code rather than
+ * its text (see analyzeCode.js), so comments don't count and constants
+ * are followed through variables. `inside: 'onFrame'` requires the match
+ * to be in a callback passed to onFrame().
+ *
+ * `find` is a spec for the matchers in expectScene.js: scene checks look
+ * for objects with properties such as `type`, `geometry.parameters.width`
+ * or `material.color`, camera checks read e.g. `fov` and renderer checks
+ * the state in the sandbox snapshot, e.g. `shadowMap.enabled`.
+ *
+ * Motion checks run the code once more on a virtual clock (the challenge's
+ * `simulation` settings: frames, fps and the Math.random seed) and look at
+ * how the object `find` matches moves; see expectMotion.js.
+ *
+ * Image checks render the code and the challenge's solution offscreen from
+ * the same viewpoint (`view`: { position, target, fov }) and compare the
+ * pixels perceptually (see compareImages.js): a pixel counts as different
+ * past `threshold`, and the check fails when more than `maxDifference` of
+ * them are.
+ */
+
+export const createTestResult = (name, passed, message = '') => {
+  return { name, passed, message }
+}
+
+// Matches listed in a failure message
+const MAX_LISTED = 3
+
+// Image check defaults: width and height in pixels, and the share of
+// pixels that may look different
+const IMAGE_SIZE = 128
+const MAX_IMAGE_DIFFERENCE = 0.01
+
+const firstLine = (source) => {
+  const line = source.split('\n')[0]
+  return line.length < source.length ? `${line} …` : line
+}
+
+const formatCall = (name, args) => `${name}(${args.map((arg) => formatFolded(arg)).join(', ')})`
+
+// How each analysis check queries the code; `filters` narrow the matches
+// down from everything the query found
+const ANALYSIS_QUERIES = {
+  constructs: {
+    find: (analysis, check, options) => analysis.constructions(check.constructs, options),
+    filters: (check) => ({ args: check.args }),
+    describe: (item) => `new ${formatCall(item.path.split('.').pop(), item.args)}`,
+    nothing: (check) => `No new ${check.constructs}(…) found`
+  },
+  calls: {
+    find: (analysis, check, options) => analysis.calls(check.calls, options),
+    filters: (check) => ({ args: check.args }),
+    describe: (item) => formatCall(item.path, item.args),
+    nothing: (check) => `${check.calls}(…) is never called`
+  },
+  assigns: {
+    find: (analysis, check, options) => analysis.assignments(check.assigns, options),
+    filters: (check) => ({ value: check.value, operator: check.operator }),
+    describe: (item) => firstLine(item.source),
+    nothing: (check) => `${check.assigns} is never assigned`
+  }
+}
+
+const analysisCheck = (check, { analysis, analysisError, lineOf }) => {
+  if (analysisError) {
+    return { passed: false, message: `The code could not be checked: ${analysisError.message}` }
+  }
+
+  const key = Object.keys(ANALYSIS_QUERIES).find((name) => check[name] !== undefined)
+  const query = ANALYSIS_QUERIES[key]
+  const options = { inside: check.inside }
+
+  const needed = check.count ?? 1
+  const matches = query.find(analysis, check, { ...options, ...query.filters(check) })
+  if (matches.length >= needed) return { passed: true }
+
+  const found = query.find(analysis, check, options)
+  const where = check.inside ? ` inside ${check.inside}()` : ''
+  if (found.length === 0) return { passed: false, message: `${query.nothing(check)}${where}` }
+
+  const listed = found
+    .slice(0, MAX_LISTED)
+    .map((item) => `${query.describe(item)} on line ${lineOf(item)}`)
+  const more = found.length > MAX_LISTED ? ` and ${found.length - MAX_LISTED} more` : ''
+  const short = matches.length > 0 ? `Only ${matches.length} of the ${needed} needed. ` : ''
+  return { passed: false, message: `${short}Found ${listed.join(', ')}${more}${where}` }
+}
+
+const codeCheck = (check, code, scene, context, prepared) => {
+  if (check.includes !== undefined) {
+    const needles = Array.isArray(check.includes) ? check.includes : [check.includes]
+    return { passed: needles.some((needle) => code.includes(needle)) }
+  }
+  if (check.matches !== undefined) {
+    return { passed: new RegExp(check.matches, check.flags).test(code) }
+  }
+  return analysisCheck(check, prepared)
+}
+
+const sceneCheck = (check, code, scene) => {
+  return expectScene(scene).toContainObject(check.find, { count: check.count })
+}
+
+const cameraCheck = (check, code, scene, context) => {
+  return expectScene(scene, context).toHaveCamera(check.find)
+}
+
+const rendererCheck = (check, code, scene, context) => {
+  return expectScene(scene, context).toHaveRenderer(check.find)
+}
+
+// Which expectMotion() matcher each kind of motion check uses
+const MOTION_MATCHERS = {
+  increases: (expect, check) => expect.toIncrease(check.find, check.increases),
+  decreases: (expect, check) => expect.toDecrease(check.find, check.decreases),
+  changes: (expect, check) => expect.toChange(check.find, check.changes),
+  orbits: (expect, check) => expect.toOrbit(check.find, check.orbits),
+  within: (expect, check) => expect.toStayWithin(check.find, check.within),
+  rates: (expect, check) => expect.toChangeAt(check.find, check.rates)
+}
+
+const motionCheck = (check, code, scene, context, { simulation, simulationError }) => {
+  if (simulationError) {
+    const line = simulationError.line ? ` (line ${simulationError.line})` : ''
+    return {
+      passed: false,
+      message: `The animation could not be simulated: ${simulationError.message}${line}`
+    }
+  }
+
+  const key = Object.keys(MOTION_MATCHERS).find((name) => check[name] !== undefined)
+  return MOTION_MATCHERS[key](expectMotion(simulation), check)
+}
+
+const describeRenderError = (what, error) => {
+  const line = error.line ? ` (line ${error.line})` : ''
+  return `${what} could not be rendered: ${error.message}${line}`
+}
+
+const formatPercent = (ratio) => `${Math.round(ratio * 1000) / 10}%`
+
+const imageCheck = (check, code, scene, context, { images }) => {
+  const render = images && images.get(check)
+  if (!render) {
+    return { passed: false, message: 'Run your code first so its render can be compared' }
+  }
+  const { expected, actual } = render
+  if (expected.error) {
+    return { passed: false, message: describeRenderError('The solution', expected.error) }
+  }
+  if (actual.error) {
+    return { passed: false, message: describeRenderError('Your code', actual.error) }
+  }
+
+  const { ratio, diff } = compareImages(expected, actual, { threshold: check.threshold })
+  const allowed = check.maxDifference ?? MAX_IMAGE_DIFFERENCE
+  return {
+    passed: ratio <= allowed,
+    message:
+      `${formatPercent(ratio)} of your render looks different from the solution's ` +
+      `(at most ${formatPercent(allowed)} may)`,
+    images: {
+      width: expected.width,
+      height: expected.height,
+      expected: expected.pixels,
+      actual: actual.pixels,
+      diff
+    }
+  }
+}
+
+const CHECKS = {
+  code: codeCheck,
+  scene: sceneCheck,
+  camera: cameraCheck,
+  renderer: rendererCheck,
+  motion: motionCheck,
+  image: imageCheck
+}
+
+const identityLine = (item) => item.line
+
+/**
+ * Parse the code for analysis checks; TypeScript is transpiled first and
+ * reported lines are mapped back to the editor
+ */
+const prepareAnalysis = async (code, language) => {
+  try {
+    if (language !== 'typescript') {
+      return { analysis: analyzeCode(code), lineOf: identityLine }
+    }
+
+    const { transpileTypeScript } = await import('../components/editor/typescript')
+    const output = await transpileTypeScript(code)
+    const lineOf = (item) => {
+      return output.toSourcePosition(item.line, item.node.loc.start.column + 1).line
+    }
+    return { analysis: analyzeCode(output.code), lineOf }
+  } catch (error) {
+    return { analysisError: error }
+  }
+}
+
+/**
+ * Simulate the code through the `simulate` function the page passes in
+ * the validation context; without one, motion checks report that the code
+ * has to run first
+ */
+const prepareSimulation = async (context, settings) => {
+  if (!context.simulate) return { simulation: null }
+
+  const simulation = await context.simulate(settings)
+  if (!simulation) return { simulation: null }
+  if (simulation.error) return { simulationError: simulation.error }
+  return { simulation }
+}
+
+/**
+ * Render the code and the solution for every image check through the
+ * `renderImage(code, options)` function the page passes in the validation
+ * context; solution renders are kept in `solutionImages` for later runs
+ */
+const prepareImages = async (checks, code, context, { solution, simulation, solutionImages }) => {
+  if (!context.renderImage) return { images: null }
+
+  const images = new Map()
+  // One render at a time: they share the sandbox's renderer
+  for (const check of checks) {
+    const size = check.size ?? IMAGE_SIZE
+    const options = {
+      width: size,
+      height: size,
+      view: check.view,
+      frames: check.frames ?? 0,
+      fps: simulation.fps,
+      seed: simulation.seed
+    }
+
+    const key = JSON.stringify(options)
+    let expected = solutionImages.get(key)
+    if (!expected) {
+      expected = await context.renderImage(solution, options)
+      // Failed renders are tried again on the next run
+      if (expected && !expected.error) solutionImages.set(key, expected)
+    }
+    const actual = await context.renderImage(code, options)
+    if (expected && actual) images.set(check, { expected, actual })
+  }
+  return { images }
+}
+
+const usesAnalysis = (check) => {
+  return check.type === 'code' && check.includes === undefined && check.matches === undefined
+}
+
+/**
+ * Build a challenge's validationFn(code, scene, context) from its checks
+ *
+ * `context` holds the camera and renderer of the same run and, for motion
+ * checks, `simulate(settings)`, which resolves with a simulation for
+ * expectMotion() or with { error }. Image checks need
+ * `renderImage(code, options)`, which resolves with { width, height, pixels }
+ * or with { error }.
+ * @param {object[]} checks - The `checks` array of a challenge file
+ * @param {object} options
+ * @param {string} [options.language] - The language the code is written in
+ * @param {{ frames?: number, fps?: number, seed?: number }} [options.simulation] - How
+ *   motion and image checks step the code
+ * @param {string} [options.solution] - Reference code for image checks
+ */
+export function createValidationFn(
+  checks,
+  { language = 'javascript', simulation = {}, solution = '' } = {}
+) {
+  const imageChecks = checks.filter((check) => check.type === 'image')
+  const solutionImages = new Map()
+
+  return async (code, scene, context = {}) => {
+    // Parsed, simulated and rendered once per run, and only when a check needs it
+    const prepared = {
+      ...(checks.some(usesAnalysis) ? await prepareAnalysis(code, language) : {}),
+      ...(checks.some((check) => check.type === 'motion')
+        ? await prepareSimulation(context, simulation)
+        : {}),
+      ...(imageChecks.length > 0
+        ? await prepareImages(imageChecks, code, context, { solution, simulation, solutionImages })
+        : {})
+    }
+
+    return checks.map((check) => {
+      const result = CHECKS[check.type](check, code, scene, context, prepared)
+      // The check's own advice first, then what the scene matchers found
+      const message = [check.message, result.message].filter(Boolean).join('. ')
+      const testResult = createTestResult(check.name, result.passed, result.passed ? '' : message)
+      // Renders to show next to the result, e.g. from image checks
+      return result.images ? { ...testResult, images: result.images } : testResult
+    })
+  }
+}
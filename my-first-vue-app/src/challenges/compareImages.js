@@ -0,0 +1,75 @@
+/**
+ * Perceptual comparison of two renders
+ *
+ * Pixels are compared by their difference in YIQ color space, weighted the
+ * way pixelmatch does (Kotsarenko and Ramos, "Measuring perceived color
+ * difference using YIQ NTSC transmission color space"): brightness counts
+ * more than hue, so a slightly different shade passes where a missing
+ * shadow or highlight does not. Pure JavaScript, so it runs in the browser
+ * and in Node alike.
+ */
+
+// Largest possible YIQ difference, between black and white
+const MAX_DELTA = 35215
+
+// How much of the expected image shows through in the diff
+const DIFF_FADE = 0.3
+
+const blendWithWhite = (channel, alpha) => 255 + (channel - 255) * alpha
+
+const toYiq = (pixels, index) => {
+  const alpha = pixels[index + 3] / 255
+  const r = blendWithWhite(pixels[index], alpha)
+  const g = blendWithWhite(pixels[index + 1], alpha)
+  const b = blendWithWhite(pixels[index + 2], alpha)
+  return [
+    r * 0.29889531 + g * 0.58662247 + b * 0.11448223,
+    r * 0.59597799 - g * 0.2741761 - b * 0.32180189,
+    r * 0.21147017 - g * 0.52261711 + b * 0.31114694
+  ]
+}
+
+const colorDelta = (expected, actual, index) => {
+  const [y1, i1, q1] = toYiq(expected, index)
+  const [y2, i2, q2] = toYiq(actual, index)
+  const y = y1 - y2
+  const i = i1 - i2
+  const q = q1 - q2
+  return 0.5053 * y * y + 0.299 * i * i + 0.1957 * q * q
+}
+
+/**
+ * Compare two images of the same size
+ * @param {{ width: number, height: number, pixels: Uint8ClampedArray }} expected
+ * @param {{ width: number, height: number, pixels: Uint8ClampedArray }} actual
+ * @param {{ threshold?: number }} options - How different two pixels may
+ *   look before they count as mismatched, from 0 (identical) to 1 (black
+ *   against white)
+ * @returns {{ mismatched: number, ratio: number, diff: Uint8ClampedArray }} The
+ *   diff image shows the expected image faded to gray, with mismatched
+ *   pixels in red
+ */
+export function compareImages(expected, actual, { threshold = 0.1 } = {}) {
+  if (expected.width !== actual.width || expected.height !== actual.height) {
+    throw new Error(
+      `Cannot compare a ${actual.width}x${actual.height} image ` +
+        `with a ${expected.width}x${expected.height} one`
+    )
+  }
+
+  const maxDelta = MAX_DELTA * threshold * threshold
+  const diff = new Uint8ClampedArray(expected.pixels.length)
+  let mismatched = 0
+
+  for (let index = 0; index < diff.length; index += 4) {
+    if (colorDelta(expected.pixels, actual.pixels, index) > maxDelta) {
+      mismatched++
+      diff.set([255, 0, 0, 255], index)
+    } else {
+      const gray = 255 + (toYiq(expected.pixels, index)[0] - 255) * DIFF_FADE
+      diff.set([gray, gray, gray, 255], index)
+    }
+  }
+
+  return { mismatched, ratio: mismatched / (expected.width * expected.height), diff }
+}
@@ -0,0 +1,251 @@
+import { formatNumber } from '../sandbox/inspect'
+import {
+  describeExpected,
+  describeObject,
+  describeSpec,
+  findObjects,
+  matchesValue,
+  readPath,
+  result
+} from './expectScene'
+
+/**
+ * Assertions on how a scene animates
+ *
+ *   const simulation = await canvas.simulate({ frames: 120, fps: 60, seed: 1 })
+ *   const expect = expectMotion(simulation)
+ *   expect.toIncrease({ geometry: 'Box' }, 'rotation.y')
+ *   expect.toOrbit({ name: 'moon' }, { period: { near: 6.28, tolerance: 0.3 } })
+ *   expect.toStayWithin({ name: 'ball' }, { 'worldPosition.y': [0, 3] })
+ *   expect.toChangeAt({ name: 'spinner' }, { 'rotation.y': { near: 1, tolerance: 0.05 } })
+ *
+ * A simulation (see InteractiveCanvas.vue's simulate()) is the scene after
+ * its last frame plus the transforms of every object sampled each frame:
+ * `position`, `rotation`, `scale` and `worldPosition`, read with paths such
+ * as 'rotation.y'. Objects are found in the last frame's scene with the
+ * same specs expectScene() takes. When several match, one of them passing
+ * is enough.
+ *
+ * Rotations are unwrapped, so an angle that wraps from π to -π while
+ * turning still counts as increasing.
+ */
+
+// Differences smaller than this are rounding, not movement
+const EPSILON = 1e-6
+
+const NOT_RUN_MESSAGE = 'Run your code first so its animation can be checked'
+
+const PLANES = { xy: ['x', 'y'], xz: ['x', 'z'], yz: ['y', 'z'] }
+
+const formatSeconds = (seconds) => `${formatNumber(seconds)} s`
+
+/**
+ * Remove the jumps of 2π an angle makes when it wraps around
+ */
+const unwrap = (angles) => {
+  const unwrapped = []
+  angles.forEach((angle, index) => {
+    if (index === 0) {
+      unwrapped.push(angle)
+      return
+    }
+    const step = angle - angles[index - 1]
+    const turns = Math.round(step / (2 * Math.PI))
+    unwrapped.push(unwrapped[index - 1] + step - turns * 2 * Math.PI)
+  })
+  return unwrapped
+}
+
+/**
+ * A path's value over time for one object: [{ time, value }]
+ */
+const trackOf = (simulation, object, path) => {
+  const points = simulation.samples
+    .filter((sample) => sample.objects[object.uuid])
+    .map((sample) => ({ time: sample.time, value: readPath(sample.objects[object.uuid], path) }))
+
+  if (!/^rotation\./.test(path)) return points
+
+  const angles = unwrap(points.map((point) => point.value))
+  return points.map((point, index) => ({ time: point.time, value: angles[index] }))
+}
+
+/**
+ * Run `test` on every object matching `spec` and pass when one of them
+ * does; otherwise report why the first one failed
+ * @param {(object: THREE.Object3D) => string|null} test - A failure
+ *   message, or null when the object passes
+ */
+const motionCheck = (simulation, spec, testName, test) => {
+  if (!simulation || !simulation.scene) return result(testName, false, NOT_RUN_MESSAGE)
+
+  const objects = findObjects(simulation.scene, spec)
+  if (objects.length === 0) {
+    return result(testName, false, `Found no object with ${describeSpec(spec)}`)
+  }
+
+  const failures = objects.map(test)
+  if (failures.some((failure) => failure === null)) return result(testName, true)
+  return result(testName, false, `${describeObject(objects[0])}: ${failures[0]}`)
+}
+
+/**
+ * Check that a value only ever moves one way
+ * @param {number} direction - 1 for increasing, -1 for decreasing
+ */
+const monotonicTest = (simulation, path, direction) => (object) => {
+  const track = trackOf(simulation, object, path)
+  if (track.length < 2) return 'it was only in the scene for one frame'
+
+  const first = track[0]
+  const last = track[track.length - 1]
+  const wrongWay = track.find(
+    (point, index) => index > 0 && (point.value - track[index - 1].value) * direction < -EPSILON
+  )
+
+  if (wrongWay) {
+    const before = track[track.indexOf(wrongWay) - 1]
+    return (
+      `${path} went ${direction > 0 ? 'down' : 'up'} at ${formatSeconds(wrongWay.time)} ` +
+      `(from ${formatNumber(before.value)} to ${formatNumber(wrongWay.value)})`
+    )
+  }
+  if ((last.value - first.value) * direction <= EPSILON) {
+    return `${path} stayed at ${formatNumber(first.value)} for ${formatSeconds(last.time)}`
+  }
+  return null
+}
+
+const changeTest = (simulation, path) => (object) => {
+  const track = trackOf(simulation, object, path)
+  const values = track.map((point) => point.value)
+  if (Math.max(...values) - Math.min(...values) > EPSILON) return null
+
+  const last = track[track.length - 1]
+  return `${path} stayed at ${formatNumber(values[0])} for ${formatSeconds(last.time)}`
+}
+
+const withinTest = (simulation, bounds) => (object) => {
+  for (const [path, range] of Object.entries(bounds)) {
+    const outside = trackOf(simulation, object, path).find(
+      (point) => !matchesValue(point.value, range)
+    )
+    if (outside) {
+      return (
+        `${path} was ${formatNumber(outside.value)} at ${formatSeconds(outside.time)} ` +
+        `(expected ${describeExpected(range, path)})`
+      )
+    }
+  }
+  return null
+}
+
+/**
+ * Compare the average change per second, first frame to last
+ */
+const rateTest = (simulation, rates) => (object) => {
+  for (const [path, expected] of Object.entries(rates)) {
+    const track = trackOf(simulation, object, path)
+    if (track.length < 2) return 'it was only in the scene for one frame'
+
+    const first = track[0]
+    const last = track[track.length - 1]
+    const rate = (last.value - first.value) / (last.time - first.time)
+    if (!matchesValue(rate, expected)) {
+      return (
+        `${path} changed by ${formatNumber(rate)} per second ` +
+        `(expected ${describeExpected(expected, path)})`
+      )
+    }
+  }
+  return null
+}
+
+/**
+ * Measure how long one turn around the parent takes, from the angle the
+ * object's world position makes around its parent's
+ */
+const orbitTest = (simulation, { period, plane = 'xz' }) => (object) => {
+  const [a, b] = PLANES[plane]
+  const own = trackOf(simulation, object, 'worldPosition')
+  const parentIsScene = !object.parent || object.parent === simulation.scene
+  const center = parentIsScene ? null : trackOf(simulation, object.parent, 'worldPosition')
+
+  const offsets = own.map((point, index) => {
+    const origin = center && center[index] ? center[index].value : { x: 0, y: 0, z: 0 }
+    return { time: point.time, a: point.value[a] - origin[a], b: point.value[b] - origin[b] }
+  })
+  if (offsets.length < 2) return 'it was only in the scene for one frame'
+  if (offsets.every(({ a: x, b: y }) => Math.hypot(x, y) <= EPSILON)) {
+    return `it sits at its parent's center in the ${plane} plane`
+  }
+
+  const angles = unwrap(offsets.map(({ a: x, b: y }) => Math.atan2(y, x)))
+  const turned = Math.abs(angles[angles.length - 1] - angles[0])
+  const duration = offsets[offsets.length - 1].time - offsets[0].time
+  if (turned <= EPSILON) return `it does not move around its parent in the ${plane} plane`
+
+  const measured = (2 * Math.PI * duration) / turned
+  if (period === undefined || matchesValue(measured, period)) return null
+  return (
+    `one orbit takes ${formatSeconds(measured)} ` +
+    `(expected ${describeExpected(period, 'period')} s)`
+  )
+}
+
+/**
+ * Matchers for the result of a simulated run
+ * @param {{ scene: THREE.Scene, samples: object[] }|null} simulation - Null
+ *   when the code could not be simulated
+ */
+export function expectMotion(simulation) {
+  const subject = (spec) => `Object with ${describeSpec(spec)}`
+
+  return {
+    /**
+     * @param {object} spec - Finds the object, as in expectScene()
+     * @param {string} path - e.g. 'rotation.y' or 'worldPosition.x'
+     * @param {{ name?: string }} options
+     */
+    toIncrease: (spec, path, { name } = {}) => {
+      const testName = name || `${subject(spec)}: ${path} increases`
+      return motionCheck(simulation, spec, testName, monotonicTest(simulation, path, 1))
+    },
+    toDecrease: (spec, path, { name } = {}) => {
+      const testName = name || `${subject(spec)}: ${path} decreases`
+      return motionCheck(simulation, spec, testName, monotonicTest(simulation, path, -1))
+    },
+    toChange: (spec, path, { name } = {}) => {
+      const testName = name || `${subject(spec)}: ${path} changes`
+      return motionCheck(simulation, spec, testName, changeTest(simulation, path))
+    },
+    /**
+     * @param {object} spec
+     * @param {{ [path: string]: Array|object }} bounds - Ranges as in expectScene()
+     * @param {{ name?: string }} options
+     */
+    toStayWithin: (spec, bounds, { name } = {}) => {
+      const testName = name || `${subject(spec)} stays within bounds`
+      return motionCheck(simulation, spec, testName, withinTest(simulation, bounds))
+    },
+    /**
+     * @param {object} spec
+     * @param {{ [path: string]: number|object }} rates - Expected change per second
+     * @param {{ name?: string }} options
+     */
+    toChangeAt: (spec, rates, { name } = {}) => {
+      const testName = name || `${subject(spec)} changes at the expected speed`
+      return motionCheck(simulation, spec, testName, rateTest(simulation, rates))
+    },
+    /**
+     * @param {object} spec
+     * @param {{ period?: number|object, plane?: 'xy'|'xz'|'yz' }} orbit - Seconds
+     *   per turn around the parent, compared like any expected value
+     * @param {{ name?: string }} options
+     */
+    toOrbit: (spec, orbit = {}, { name } = {}) => {
+      const testName = name || `${subject(spec)} orbits its parent`
+      return motionCheck(simulation, spec, testName, orbitTest(simulation, orbit))
+    }
+  }
+}
@@ -0,0 +1,338 @@
+import { formatNumber } from '../sandbox/inspect'
+
+/**
+ * Scene assertions for challenge validators
+ *
+ *   const expect = expectScene(scene, { camera, renderer })
+ *   expect.toContainMesh({ geometry: 'Sphere', color: 0x0000ff, position: { x: [1.9, 2.1] } })
+ *   expect.toContainLight({ type: 'Spot', castShadow: true }, { count: { min: 2 } })
+ *   expect.toContainObject({ name: 'moon', parent: { name: 'earth' } })
+ *   expect.toHaveCamera({ type: 'Perspective', fov: [60, 90] })
+ *   expect.toHaveRenderer({ shadowMap: { enabled: true } })
+ *
+ * Every matcher returns a test result ({ name, passed, message }) whose
+ * message says what was found instead, so validators can return them as is.
+ *
+ * Spec keys are property paths, either nested ({ position: { x } }) or
+ * dotted ('geometry.parameters.radius'). Expected values are compared as
+ * is, except:
+ * - colors: a THREE.Color matches a hex number or a '#rrggbb' string
+ * - ranges: [min, max] (either may be null), { min, max } or { near, tolerance }
+ * - type names may leave out their suffix: geometry 'Sphere', material
+ *   'Standard', light type 'Point', camera type 'Perspective'
+ * - `parent` is a spec of its own that the object's parent must match
+ * For meshes, material properties such as `color` may be given directly.
+ */
+
+// How far a number may be off for { near } when no tolerance is given
+const DEFAULT_TOLERANCE = 0.01
+
+const NOT_RUN_MESSAGE = 'Run your code first so the scene can be checked'
+
+// Mesh spec keys that are read from the material
+const MATERIAL_KEYS = [
+  'color',
+  'emissive',
+  'opacity',
+  'transparent',
+  'metalness',
+  'roughness',
+  'shininess',
+  'wireframe',
+  'flatShading'
+]
+
+// Properties shown as hex colors in messages
+const COLOR_PATH = /(^|\.)(color|emissive|groundColor|specular)$/
+
+const KINDS = {
+  object: { singular: 'object', plural: 'objects', accepts: () => true, typeSuffix: '' },
+  mesh: { singular: 'mesh', plural: 'meshes', accepts: (object) => object.isMesh, typeSuffix: '' },
+  light: {
+    singular: 'light',
+    plural: 'lights',
+    accepts: (object) => object.isLight,
+    typeSuffix: 'Light'
+  },
+  camera: { singular: 'camera', plural: 'cameras', accepts: () => true, typeSuffix: 'Camera' },
+  renderer: { singular: 'renderer', plural: 'renderers', accepts: () => true, typeSuffix: '' }
+}
+
+export const readPath = (object, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object)
+}
+
+const inRange = (value, { min, max }) => {
+  return (min === undefined || value >= min) && (max === undefined || value <= max)
+}
+
+const describeRange = ({ min, max }) => {
+  if (min === max) return `exactly ${min}`
+  if (max === undefined) return `at least ${min}`
+  if (min === undefined) return `at most ${max}`
+  return `between ${min} and ${max}`
+}
+
+/**
+ * A count option (number or { min, max }) as a range; at least one by default
+ */
+const countRange = (count) => {
+  if (count === undefined) return { min: 1 }
+  return typeof count === 'number' ? { min: count, max: count } : count
+}
+
+const isPlainObject = (value) => {
+  return (
+    value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype
+  )
+}
+
+const isRangeObject = (value) => {
+  return isPlainObject(value) && ('near' in value || 'min' in value || 'max' in value)
+}
+
+const isColorString = (value) => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)
+
+const formatHex = (hex) => `0x${hex.toString(16).padStart(6, '0')}`
+
+export const withArticle = (noun) => `${/^[aeiou]/i.test(noun) ? 'an' : 'a'} ${noun}`
+
+export const describeObject = (object) => {
+  if (object.name) return `'${object.name}' (${object.type})`
+  if (object.geometry) return `${withArticle(object.type)} with ${object.geometry.type}`
+  return withArticle(object.type)
+}
+
+const formatValue = (value, path) => {
+  if (value === undefined || value === '') return 'not set'
+  if (value && value.isColor) return formatHex(value.getHex())
+  if (value && value.isObject3D) return describeObject(value)
+  if (typeof value === 'number') {
+    return COLOR_PATH.test(path) && Number.isInteger(value) ? formatHex(value) : formatNumber(value)
+  }
+  if (typeof value === 'string') return `'${value}'`
+  return String(value)
+}
+
+/**
+ * Whether a value satisfies an expected value; see the module comment
+ */
+export const matchesValue = (actual, expected) => {
+  if (actual && actual.isColor) {
+    const hex = isColorString(expected) ? parseInt(expected.slice(1), 16) : expected
+    return actual.getHex() === hex
+  }
+
+  if (Array.isArray(expected)) {
+    return matchesValue(actual, { min: expected[0] ?? undefined, max: expected[1] ?? undefined })
+  }
+
+  if (isPlainObject(expected)) {
+    if (typeof actual !== 'number') return false
+    if ('near' in expected) {
+      return Math.abs(actual - expected.near) <= (expected.tolerance ?? DEFAULT_TOLERANCE)
+    }
+    return inRange(actual, expected)
+  }
+
+  return actual === expected
+}
+
+export const describeExpected = (expected, path) => {
+  if (Array.isArray(expected)) {
+    return describeRange({ min: expected[0] ?? undefined, max: expected[1] ?? undefined })
+  }
+  if (isPlainObject(expected)) {
+    if ('near' in expected) {
+      return `≈ ${formatNumber(expected.near)} (±${expected.tolerance ?? DEFAULT_TOLERANCE})`
+    }
+    return describeRange(expected)
+  }
+  return isColorString(expected) ? `0x${expected.slice(1)}` : formatValue(expected, path)
+}
+
+/**
+ * A rule for a type name that may leave out its prefix and suffix
+ */
+const typeNameRule = (key, path, name, prefix, suffix) => {
+  const accepted = [name, `${name}${suffix}`, `${prefix}${name}${suffix}`]
+  return {
+    key,
+    path,
+    test: (actual) => accepted.includes(actual),
+    describe: formatValue(name, path)
+  }
+}
+
+/**
+ * Turn a spec into a flat list of rules: { key, path, test, describe }
+ *
+ * `key` is the property as written in the spec, for messages; `path` is
+ * where it is read from.
+ */
+const compileSpec = (spec, kind, prefix = '') => {
+  return Object.entries(spec).flatMap(([name, expected]) => {
+    const key = `${prefix}${name}`
+
+    if (!prefix && name === 'parent') {
+      const parentRules = compileSpec(expected, KINDS.object)
+      return [
+        {
+          key,
+          path: 'parent',
+          test: (parent) => Boolean(parent) && failingRules(parent, parentRules).length === 0,
+          describe: `with ${describeRules(parentRules)}`
+        }
+      ]
+    }
+
+    if (isPlainObject(expected) && !isRangeObject(expected)) {
+      return compileSpec(expected, kind, `${key}.`)
+    }
+
+    if (typeof expected === 'string' && !prefix) {
+      if (name === 'geometry') return [typeNameRule(key, 'geometry.type', expected, '', 'Geometry')]
+      if (name === 'material') {
+        return [typeNameRule(key, 'material.type', expected, 'Mesh', 'Material')]
+      }
+      if (name === 'type' && kind.typeSuffix) {
+        return [typeNameRule(key, 'type', expected, '', kind.typeSuffix)]
+      }
+    }
+
+    const isMaterialKey = kind === KINDS.mesh && !prefix && MATERIAL_KEYS.includes(name)
+    const path = isMaterialKey ? `material.${key}` : key
+    return [
+      {
+        key,
+        path,
+        test: (actual) => matchesValue(actual, expected),
+        describe: describeExpected(expected, path)
+      }
+    ]
+  })
+}
+
+const describeRules = (rules) => rules.map((rule) => `${rule.key} ${rule.describe}`).join(', ')
+
+const failingRules = (object, rules) => {
+  return rules.filter((rule) => !rule.test(readPath(object, rule.path)))
+}
+
+const describeFailures = (object, failures) => {
+  return failures
+    .map((rule) => {
+      const actual = formatValue(readPath(object, rule.path), rule.path)
+      return `${rule.key} ${actual} (expected ${rule.describe})`
+    })
+    .join(', ')
+}
+
+export const result = (name, passed, message) => ({ name, passed, message: passed ? '' : message })
+
+/**
+ * Every object below `scene` that matches a spec, in traversal order
+ */
+export const findObjects = (scene, spec) => {
+  const rules = compileSpec(spec, KINDS.object)
+  const found = []
+  scene.traverse((object) => {
+    if (object !== scene && failingRules(object, rules).length === 0) found.push(object)
+  })
+  return found
+}
+
+/**
+ * A spec in words, e.g. "name 'moon', geometry 'Sphere'"
+ */
+export const describeSpec = (spec) => describeRules(compileSpec(spec, KINDS.object))
+
+/**
+ * Look for objects of one kind that match a spec, and explain what was
+ * found when not enough of them do
+ */
+const containCheck = (scene, kind, spec, { count, name } = {}) => {
+  const rules = compileSpec(spec, kind)
+  const range = countRange(count)
+  const amount =
+    count === undefined ? withArticle(kind.singular) : `${describeRange(range)} ${kind.plural}`
+  const testName = name || `Scene contains ${amount} with ${describeRules(rules)}`
+
+  if (!scene) return result(testName, false, NOT_RUN_MESSAGE)
+
+  const candidates = []
+  scene.traverse((object) => {
+    if (object !== scene && kind.accepts(object)) candidates.push(object)
+  })
+  const matches = candidates.filter((object) => failingRules(object, rules).length === 0)
+
+  if (inRange(matches.length, range)) return result(testName, true)
+
+  if (candidates.length === 0) {
+    return result(testName, false, `Found no ${kind.plural} in the scene`)
+  }
+  if (matches.length > 0) {
+    return result(
+      testName,
+      false,
+      `Expected ${describeRange(range)} matching ${kind.plural}, found ${matches.length}`
+    )
+  }
+
+  // Nothing matches: show the candidate that came closest, preferring
+  // objects that at least have the properties, e.g. a mesh over a light
+  const closest = candidates
+    .map((object) => {
+      const failures = failingRules(object, rules)
+      const missing = failures.filter((rule) => readPath(object, rule.path) === undefined)
+      return { object, failures, score: missing.length * rules.length + failures.length }
+    })
+    .reduce((best, next) => (next.score < best.score ? next : best))
+  return result(
+    testName,
+    false,
+    `Found no matching ${kind.singular}; the closest is ${describeObject(closest.object)} ` +
+      `with ${describeFailures(closest.object, closest.failures)}`
+  )
+}
+
+/**
+ * Check a single object, such as the camera, against a spec
+ */
+const haveCheck = (subject, kind, spec, { name } = {}) => {
+  const rules = compileSpec(spec, kind)
+  const label = kind.singular[0].toUpperCase() + kind.singular.slice(1)
+  const testName = name || `${label} has ${describeRules(rules)}`
+
+  if (!subject) return result(testName, false, NOT_RUN_MESSAGE)
+
+  const failures = failingRules(subject, rules)
+  const message = `${label} has ${describeFailures(subject, failures)}`
+  return result(testName, failures.length === 0, message)
+}
+
+/**
+ * Matchers for a scene and, optionally, the camera and renderer state it
+ * was rendered with
+ * @param {THREE.Scene|null} scene - Null when the code has not run yet
+ * @param {{ camera?: THREE.Camera, renderer?: object }} context - The
+ *   renderer is the plain state from the sandbox snapshot, e.g.
+ *   { shadowMap: { enabled, type } }
+ */
+export function expectScene(scene, { camera = null, renderer = null } = {}) {
+  return {
+    /**
+     * @param {object} spec
+     * @param {{ count?: number|{ min?: number, max?: number }, name?: string }} options
+     */
+    toContainMesh: (spec, options) => containCheck(scene, KINDS.mesh, spec, options),
+    toContainLight: (spec, options) => containCheck(scene, KINDS.light, spec, options),
+    toContainObject: (spec, options) => containCheck(scene, KINDS.object, spec, options),
+    /**
+     * @param {object} spec
+     * @param {{ name?: string }} options
+     */
+    toHaveCamera: (spec, options) => haveCheck(camera, KINDS.camera, spec, options),
+    toHaveRenderer: (spec, options) => haveCheck(renderer, KINDS.renderer, spec, options)
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Hint, solution and score rules for challenges
+ *
+ * Hints unlock one at a time: hint N needs N failed test runs. The solution
+ * unlocks after a number of failed runs or some minutes on the challenge,
+ * whichever comes first. A passed challenge scores its points minus the
+ * cost of the hints revealed and of looking at the solution before it was
+ * first passed; comparing with the solution afterwards is free. Challenge
+ * files can change both with `solutionUnlock` and `scoring`, or turn
+ * scoring off with `"scoring": false`.
+ */
+
+export const DEFAULT_SOLUTION_UNLOCK = { attempts: 3, minutes: 10 }
+
+export const DEFAULT_SCORING = { points: 100, hintCost: 10, solutionCost: 50 }
+
+const MINUTE = 60 * 1000
+
+/**
+ * A challenge's scoring rules, or null when it is not scored
+ */
+export const scoringOf = (challenge) => {
+  if (challenge.scoring === false) return null
+  return { ...DEFAULT_SCORING, ...challenge.scoring }
+}
+
+/**
+ * How many of the challenge's hints the learner may see by now
+ * @param {object} challenge
+ * @param {{ failedAttempts?: number }|null} record - The challenge's progress
+ */
+export const unlockedHintCount = (challenge, record) => {
+  const total = challenge.hints ? challenge.hints.length : 0
+  return Math.min(total, record?.failedAttempts || 0)
+}
+
+/**
+ * Whether the solution may be shown, and if not, what unlocks it
+ * @param {object} challenge
+ * @param {{ failedAttempts?: number, startedAt?: string, solutionViews?: number }|null} record
+ * @param {number} now - Current time in milliseconds
+ * @returns {{ unlocked: boolean, attemptsLeft: number, minutesLeft: number }}
+ */
+export const solutionAccess = (challenge, record, now) => {
+  const { attempts, minutes } = { ...DEFAULT_SOLUTION_UNLOCK, ...challenge.solutionUnlock }
+  const attemptsLeft = Math.max(0, attempts - (record?.failedAttempts || 0))
+  const startedAt = record?.startedAt ? Date.parse(record.startedAt) : now
+  const minutesLeft = Math.max(0, Math.ceil(minutes - (now - startedAt) / MINUTE))
+  // Once seen, it stays available
+  const unlocked = attemptsLeft === 0 || minutesLeft === 0 || (record?.solutionViews || 0) > 0
+  return { unlocked, attemptsLeft, minutesLeft }
+}
+
+/**
+ * What the challenge is worth given the hints and solution views so far,
+ * or the score it was passed with
+ * @param {object} challenge
+ * @param {{ hintsRevealed?: number, solutionViews?: number, scoreAtPass?: object }|null} record
+ * @returns {{ points: number, max: number, deductions: string[] }|null} Null
+ *   when the challenge is not scored
+ */
+export const scoreChallenge = (challenge, record) => {
+  const scoring = scoringOf(challenge)
+  if (!scoring) return null
+  if (record?.scoreAtPass) return record.scoreAtPass
+
+  const hints = record?.hintsRevealed || 0
+  const deductions = []
+  let points = scoring.points
+  if (hints > 0) {
+    points -= hints * scoring.hintCost
+    deductions.push(`−${hints * scoring.hintCost} for ${hints} hint${hints === 1 ? '' : 's'}`)
+  }
+  if ((record?.solutionViews || 0) > 0) {
+    points -= scoring.solutionCost
+    deductions.push(`−${scoring.solutionCost} for viewing the solution`)
+  }
+  return { points: Math.max(0, points), max: scoring.points, deductions }
+}
@@ -0,0 +1,100 @@
+/**
+ * Minimal reader for the source maps the TypeScript compiler emits
+ *
+ * Only what error locations need: map a position in the generated
+ * JavaScript back to the original file. Single-source maps only, which is
+ * all a one-file transpile produces.
+ */
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+/**
+ * Decode one Base64 VLQ-encoded segment into its numbers
+ */
+const decodeSegment = (segment) => {
+  const values = []
+  let value = 0
+  let shift = 0
+
+  for (const char of segment) {
+    const digit = BASE64.indexOf(char)
+    value += (digit & 31) << shift
+    if (digit & 32) {
+      shift += 5
+    } else {
+      // Lowest bit is the sign
+      values.push(value & 1 ? -(value >> 1) : value >> 1)
+      value = 0
+      shift = 0
+    }
+  }
+
+  return values
+}
+
+/**
+ * Segments per generated line, as absolute 0-based
+ * { column, sourceLine, sourceColumn }, sorted by column
+ */
+const decodeMappings = (mappings) => {
+  let sourceLine = 0
+  let sourceColumn = 0
+
+  return mappings.split(';').map((line) => {
+    let column = 0
+    const segments = []
+
+    line
+      .split(',')
+      .filter(Boolean)
+      .forEach((segment) => {
+        const values = decodeSegment(segment)
+        column += values[0]
+        if (values.length < 4) return
+        sourceLine += values[2]
+        sourceColumn += values[3]
+        segments.push({ column, sourceLine, sourceColumn })
+      })
+
+    return segments
+  })
+}
+
+/**
+ * Build a position mapper from a parsed source map
+ * @param {{ mappings: string }} map
+ * @returns {(line: number, column: number) => { line: number, column: number }}
+ *   1-based generated position to 1-based original position
+ */
+export function createSourceMapper(map) {
+  const lines = decodeMappings(map.mappings)
+
+  return (line, column) => {
+    const segments = lines[line - 1] || []
+
+    // Last segment starting at or before the column; keeps the distance
+    // from it, since TypeScript maps whole tokens rather than every column
+    let match = null
+    for (const segment of segments) {
+      if (segment.column > column - 1) break
+      match = segment
+    }
+    if (match) {
+      return {
+        line: match.sourceLine + 1,
+        column: match.sourceColumn + column - match.column
+      }
+    }
+
+    // Unmapped generated code belongs to the nearest mapping before it
+    let nearest = segments[0] || null
+    for (let index = line - 2; !nearest && index >= 0; index--) {
+      const previous = lines[index] || []
+      nearest = previous[previous.length - 1] || null
+    }
+
+    return nearest
+      ? { line: nearest.sourceLine + 1, column: nearest.sourceColumn + 1 }
+      : { line, column }
+  }
+}
@@ -0,0 +1,20 @@
+/**
+ * Raw @types/three declarations for the editor's IntelliSense
+ *
+ * Kept in its own module so this large chunk is only fetched when an editor
+ * loads it (see ./threeTypings.js). Covers the core library without the
+ * WebGPU/TSL node system, and the addon folders the playground allows.
+ */
+export default import.meta.glob(
+  [
+    '/node_modules/@types/three/index.d.ts',
+    '/node_modules/@types/three/src/**/*.d.ts',
+    '!/node_modules/@types/three/src/Three.{TSL,WebGPU,WebGPU.Nodes}.d.ts',
+    '!/node_modules/@types/three/src/nodes/**',
+    '!/node_modules/@types/three/src/renderers/{common,webgpu,webgl-fallback}/**',
+    '/node_modules/@types/three/src/renderers/common/{IndirectStorageBufferAttribute,StorageBufferAttribute}.d.ts',
+    '/node_modules/@types/three/examples/jsm/{animation,controls,environments,geometries,helpers,lights,loaders,math,objects,postprocessing,shaders,utils}/*.d.ts',
+    '/node_modules/@types/three/examples/jsm/libs/meshopt_decoder.module.d.ts'
+  ],
+  { query: '?raw', import: 'default', eager: true }
+)
@@ -0,0 +1,43 @@
+import * as monaco from 'monaco-editor'
+import { ADDON_PATHS } from '../../sandbox/addons'
+
+let typingsPromise = null
+
+/**
+ * `declare module` shims mapping the `three/addons/...` specifiers user code
+ * may import onto the matching `three/examples/jsm/...` declarations
+ */
+const addonShims = () => {
+  return ADDON_PATHS.flatMap((path) => {
+    const target = `three/examples/jsm/${path}`
+    return [path, path.replace(/\.js$/, '')].map(
+      (specifier) => `declare module 'three/addons/${specifier}' { export * from '${target}' }`
+    )
+  }).join('\n')
+}
+
+/**
+ * Give the editor's JavaScript and TypeScript services the three.js type
+ * declarations
+ *
+ * Makes `THREE.` autocomplete and type checking work, as well as imports of
+ * the allowed addons. The declarations are loaded once, lazily, and shared
+ * by every editor on the page.
+ */
+export function loadThreeTypings() {
+  if (!typingsPromise) {
+    typingsPromise = import('./threeTypingSources').then(({ default: sources }) => {
+      const { javascriptDefaults, typescriptDefaults } = monaco.languages.typescript
+      const shims = addonShims()
+      const languages = [javascriptDefaults, typescriptDefaults]
+
+      languages.forEach((defaults) => {
+        Object.entries(sources).forEach(([path, source]) => {
+          defaults.addExtraLib(source, `file://${path}`)
+        })
+        defaults.addExtraLib(shims, 'file:///node_modules/@types/three-addons/index.d.ts')
+      })
+    })
+  }
+  return typingsPromise
+}
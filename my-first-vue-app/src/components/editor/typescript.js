@@ -0,0 +1,96 @@
+import * as monaco from 'monaco-editor'
+import { createSourceMapper } from './sourceMap'
+
+/**
+ * TypeScript support for the playground
+ *
+ * Editors in TypeScript mode get full type checking from Monaco's
+ * TypeScript service. Code is transpiled by the same service before it is
+ * run, with a source map so runtime errors point at the TypeScript lines.
+ */
+
+let configured = false
+
+/**
+ * Compiler options for TypeScript editors and the transpiler; safe to call
+ * more than once
+ */
+export function configureTypeScript() {
+  if (configured) return
+  configured = true
+
+  const { typescriptDefaults, ScriptTarget, ModuleKind, ModuleResolutionKind } =
+    monaco.languages.typescript
+
+  typescriptDefaults.setCompilerOptions({
+    target: ScriptTarget.ES2020,
+    module: ModuleKind.ESNext,
+    moduleResolution: ModuleResolutionKind.NodeJs,
+    // ModuleDetectionKind.Force: every file is its own module, so several
+    // editors (and the copies made for transpiling) never clash over names
+    moduleDetection: 3,
+    strict: true,
+    allowNonTsExtensions: true,
+    esModuleInterop: true,
+    sourceMap: true
+  })
+
+  typescriptDefaults.setDiagnosticsOptions({
+    noSemanticValidation: false,
+    noSyntaxValidation: false
+  })
+}
+
+let transpileCount = 0
+
+const flattenMessage = (messageText) => {
+  return typeof messageText === 'string' ? messageText : messageText.messageText
+}
+
+/**
+ * Transpile TypeScript to the JavaScript the sandbox runs
+ *
+ * Type errors do not stop the code from running; they are shown in the
+ * editor instead, like a dev server would.
+ *
+ * @param {string} code - TypeScript source from the editor
+ * @returns {Promise<{ code: string, toSourcePosition: Function }>} JavaScript,
+ *   and a mapper from its 1-based (line, column) back to the TypeScript
+ * @throws {SyntaxError} With `line` and `column` when the code does not parse
+ */
+export async function transpileTypeScript(code) {
+  configureTypeScript()
+  transpileCount++
+  const uri = monaco.Uri.parse(`file:///playground/transpile-${transpileCount}.ts`)
+  const model = monaco.editor.createModel(code, 'typescript', uri)
+
+  try {
+    const getWorker = await monaco.languages.typescript.getTypeScriptWorker()
+    const worker = await getWorker(uri)
+    const fileName = uri.toString()
+
+    const [diagnostic] = await worker.getSyntacticDiagnostics(fileName)
+    if (diagnostic) {
+      const position = model.getPositionAt(diagnostic.start)
+      const syntaxError = new SyntaxError(flattenMessage(diagnostic.messageText))
+      syntaxError.line = position.lineNumber
+      syntaxError.column = position.column
+      throw syntaxError
+    }
+
+    const { outputFiles } = await worker.getEmitOutput(fileName)
+    const script = outputFiles.find((file) => file.name.endsWith('.js'))
+    const map = outputFiles.find((file) => file.name.endsWith('.js.map'))
+
+    return {
+      // Both trailers come after the last mapped line, so removing them
+      // does not move anything
+      code: script.text
+        .replace(/\n\/\/# sourceMappingURL=.*\s*$/, '\n')
+        .replace(/\nexport \{\};\s*$/, '\n'),
+      toSourcePosition: createSourceMapper(JSON.parse(map.text))
+    }
+  } finally {
+    model.dispose()
+  }
+}
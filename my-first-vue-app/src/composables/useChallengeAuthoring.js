@@ -0,0 +1,160 @@
+import { ref, computed, watch } from 'vue'
+import {
+  createDraft,
+  toChallengeFile,
+  fromChallengeFile,
+  findChallengeFileProblems,
+  readChallengeFile
+} from '../challenges/challengeFile'
+import { createValidationFn } from '../challenges/checks'
+import { useChallenges } from './useChallenges'
+
+const STORAGE_KEY = 'threejs_tutorial_authoring_draft'
+
+const loadDraft = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY)
+    return saved !== null ? { ...createDraft(), ...JSON.parse(saved) } : createDraft()
+  } catch (error) {
+    console.warn('Failed to load challenge draft from localStorage:', error)
+    return createDraft()
+  }
+}
+
+const saveDraft = (draft) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(draft))
+  } catch (error) {
+    console.warn('Failed to save challenge draft to localStorage:', error)
+  }
+}
+
+/**
+ * Composable for writing a challenge in the browser
+ *
+ * Holds the challenge being written (saved in localStorage as it changes),
+ * what is wrong with it, and the outcome of running its checks against the
+ * starter code, which must fail them, and the solution, which must pass.
+ */
+export function useChallengeAuthoring() {
+  const { chapters } = useChallenges()
+  const takenIds = chapters.flatMap((chapter) => chapter.challenges.map(({ id }) => id))
+
+  const draft = ref(loadDraft())
+  // { starter, solution, ok } from the last verifyChecks(); see there
+  const verification = ref(null)
+  const isVerifying = ref(false)
+
+  let saveTimeout = null
+  watch(
+    draft,
+    (value) => {
+      clearTimeout(saveTimeout)
+      saveTimeout = setTimeout(() => saveDraft(value), 500)
+      // Results for other checks or code would be misleading
+      verification.value = null
+    },
+    { deep: true }
+  )
+
+  const challengeFile = computed(() => toChallengeFile(draft.value))
+
+  // Problems that keep the checks from running
+  const schemaProblems = computed(() => findChallengeFileProblems(challengeFile.value))
+  // Everything that keeps the challenge from being added to the app
+  const problems = computed(() => findChallengeFileProblems(challengeFile.value, { takenIds }))
+
+  /**
+   * Run the checks against the starter code and the solution
+   * @param {(variant: 'starter'|'solution') => Promise<object>} run - Runs the
+   *   variant's code in the preview and resolves with { error } or with
+   *   { scene, context }, the scene and validation context of that run
+   */
+  const verifyChecks = async (run) => {
+    if (schemaProblems.value.length > 0) return
+
+    isVerifying.value = true
+    const { checks, simulation } = challengeFile.value
+    const { language, starterCode, solution } = draft.value
+    const failed = (error) => ({ error: error.message, results: [], passed: false })
+
+    try {
+      const validationFn = createValidationFn(checks, { language, simulation, solution })
+      const outcome = {}
+      for (const variant of ['starter', 'solution']) {
+        // A variant that cannot be bundled or run, or a sandbox that does
+        // not answer, is a result too
+        try {
+          const ran = await run(variant)
+          if (ran.error) {
+            outcome[variant] = failed(ran.error)
+            continue
+          }
+          const code = variant === 'starter' ? starterCode : solution
+          const results = await validationFn(code, ran.scene, ran.context)
+          outcome[variant] = { error: null, results, passed: results.every((r) => r.passed) }
+        } catch (error) {
+          outcome[variant] = failed(error)
+        }
+      }
+
+      const { starter, solution: solutionOutcome } = outcome
+      verification.value = {
+        ...outcome,
+        // The starter has to run, so students start from something that works
+        ok: !starter.error && !starter.passed && solutionOutcome.passed
+      }
+    } catch (error) {
+      // The checks themselves could not be set up
+      verification.value = { starter: failed(error), solution: failed(error), ok: false }
+    } finally {
+      isVerifying.value = false
+    }
+  }
+
+  /**
+   * Start over with a blank challenge
+   */
+  const newChallenge = () => {
+    draft.value = createDraft()
+  }
+
+  /**
+   * Download the challenge as a JSON file for src/challenges/chapter-NN/
+   */
+  const exportChallenge = () => {
+    const json = `${JSON.stringify(challengeFile.value, null, 2)}\n`
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `${draft.value.id || 'challenge'}.json`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  /**
+   * Load a challenge file, e.g. one shared by a colleague; problems with it
+   * show up in `problems` like those of any draft
+   * @param {File} file
+   */
+  const importChallenge = async (file) => {
+    const data = await readChallengeFile(file)
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error(`${file.name} does not hold a challenge`)
+    }
+    draft.value = fromChallengeFile(data)
+  }
+
+  return {
+    draft,
+    challengeFile,
+    problems,
+    schemaProblems,
+    verification,
+    isVerifying,
+    verifyChecks,
+    newChallenge,
+    exportChallenge,
+    importChallenge
+  }
+}
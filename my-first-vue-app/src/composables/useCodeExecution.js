@@ -1,109 +1,309 @@
 import { ref } from 'vue'
-import * as THREE from 'three'
+import { MessageType } from '../sandbox/protocol'
+import { instrumentCode } from '../sandbox/instrument'
+import { bundleProject } from '../sandbox/project'
+import { findUserFrame, mapStackPositions } from '../sandbox/userSource'
 
-export function useCodeExecution() {
+// How long the sandbox may take to run user code before it is considered stuck
+const EXECUTION_TIMEOUT = 5000
+// Runs on the virtual clock step every frame in one go, and may render
+const VIRTUAL_RUN_TIMEOUT = 10000
+
+const identityPosition = (line, column) => ({ line, column })
+
+const transpileInEditor = async (code) => {
+  // Loaded on demand: it needs Monaco's TypeScript service
+  const { transpileTypeScript } = await import('../components/editor/typescript')
+  return transpileTypeScript(code)
+}
+
+/**
+ * How to map positions in code the sandbox runs back to the editor
+ */
+const createPositionMaps = () => ({
+  // Positions in the instrumented code to the code given to the instrumenter
+  toInput: null,
+  // Positions in the instrumenter's input to the editor: the identity for
+  // JavaScript, the source map for transpiled TypeScript, and for projects
+  // the file and its position
+  toEditor: identityPosition
+})
+
+/**
+ * @param {object} [options]
+ * @param {(code: string) => Promise<{ code: string, toSourcePosition: Function }>} [options.transpile] -
+ *   Turns TypeScript into JavaScript, like transpileTypeScript(); defaults to
+ *   Monaco's TypeScript service, scripts running in Node bring their own
+ */
+export function useCodeExecution({ transpile = transpileInEditor } = {}) {
   const isExecuting = ref(false)
   const executionError = ref(null)
   const executionSuccess = ref(false)
 
+  // For the code running in the preview; runs on the virtual clock keep
+  // their own, since they may run other code such as a solution
+  let livePositions = createPositionMaps()
+
   /**
-   * Extract line number from error stack
+   * Add the editor position to an error reported by the sandbox
+   *
+   * Errors that know their position (syntax errors, InfiniteLoopError)
+   * already carry it, relative to the instrumenter's input. For the rest,
+   * the innermost user-code frame of the stack is mapped back through the
+   * instrumentation, so errors raised inside three.js still point at the
+   * user's line. For projects, `file` is the file the position is in.
    */
-  const parseErrorLine = (error) => {
-    if (!error.stack) return null
+  const locateWith = (positions, error) => {
+    const { toInput, toEditor } = positions
+    const toSource = (line, column) => {
+      const input = toInput ? toInput(line, column) : { line, column }
+      return toEditor(input.line, input.column)
+    }
+    const stack = error.stack ? mapStackPositions(error.stack, toSource) : error.stack
 
-    const stackLines = error.stack.split('\n')
-    for (const line of stackLines) {
-      const match = line.match(/:(\d+):/)
-      if (match) {
-        return parseInt(match[1])
+    if (typeof error.line === 'number') {
+      const position = toEditor(error.line, error.column ?? 1)
+      const where = position.file ? `${position.file} line` : 'line'
+      return {
+        ...error,
+        // The loop guard names the line in the code it ran
+        message:
+          error.type === 'InfiniteLoopError'
+            ? error.message.replace(`line ${error.line}`, `${where} ${position.line}`)
+            : error.message,
+        stack,
+        file: position.file ?? null,
+        line: position.line,
+        column: error.column == null ? null : position.column
       }
     }
-    return null
+
+    const frame = findUserFrame(error.stack)
+    const position = frame ? toSource(frame.line, frame.column) : null
+    return {
+      ...error,
+      stack,
+      file: position?.file ?? null,
+      line: position ? position.line : null,
+      column: position ? position.column : null
+    }
   }
 
   /**
-   * Create a safe execution environment for user code
+   * Locate an error of the code running in the preview
    */
-  const createSafeContext = (scene, camera, renderer, controls) => {
-    return {
-      THREE,
-      scene,
-      camera,
-      renderer,
-      controls,
-      // Safe console
-      console: {
-        log: (...args) => console.log('[User Code]:', ...args),
-        error: (...args) => console.error('[User Code]:', ...args),
-        warn: (...args) => console.warn('[User Code]:', ...args),
-      },
-      // Safe Math
-      Math,
-      // Prevent access to dangerous globals
-      window: undefined,
-      document: undefined,
-      eval: undefined,
-      Function: undefined,
+  const locateError = (error) => locateWith(livePositions, error)
+
+  /**
+   * Transpile and instrument code for the sandbox, filling in `positions`
+   * as it goes
+   *
+   * Instrumenting also reports syntax errors and unknown modules with
+   * their exact position before anything runs. Projects are bundled into
+   * one script, each file in its own language.
+   */
+  const prepareScript = async (code, language, positions) => {
+    if (typeof code === 'object') {
+      const bundle = await bundleProject(code, { transpile })
+      positions.toInput = bundle.toInput
+      positions.toEditor = bundle.toEditor
+      return bundle
+    }
+
+    let script = code
+    if (language === 'typescript') {
+      const transpiled = await transpile(code)
+      script = transpiled.code
+      positions.toEditor = transpiled.toSourcePosition
     }
+
+    const instrumented = instrumentCode(script)
+    positions.toInput = instrumented.toSourcePosition
+    return instrumented
   }
 
   /**
-   * Execute user code safely
+   * Turn an error thrown before or while talking to the sandbox into the
+   * shape sandbox errors have
    */
-  const executeCode = async (code, context) => {
-    isExecuting.value = true
-    executionError.value = null
-    executionSuccess.value = false
+  const describeHostError = (positions, error) => {
+    const errorInfo = {
+      message: error.message,
+      file: null,
+      line: null,
+      column: null,
+      stack: error.stack,
+      type: error.name
+    }
+    if (error.file !== undefined) {
+      // Bundling a project locates its errors in the editor already
+      errorInfo.file = error.file
+      errorInfo.line = error.line ?? null
+      errorInfo.column = error.column ?? null
+    } else if (typeof error.line === 'number') {
+      // Positions found before the code ran are in the instrumenter's input
+      const location = locateWith(positions, { line: error.line, column: error.column })
+      errorInfo.file = location.file
+      errorInfo.line = location.line
+      errorInfo.column = location.column
+    }
+    return errorInfo
+  }
 
+  /**
+   * Send a request that runs code, reloading the sandbox if it gets stuck
+   */
+  const requestRun = async (sandbox, type, payload, timeout) => {
     try {
-      // Don't use strict mode to allow more flexible JavaScript
-      // (strict mode restricts eval, arguments, and other features)
-      const wrappedCode = code
+      return await sandbox.request(type, payload, { timeout })
+    } catch (requestError) {
+      if (requestError.name !== 'TimeoutError') throw requestError
 
-      // Create function from code
-      const contextKeys = Object.keys(context)
-      const contextValues = Object.values(context)
+      // A sandbox that stops answering is stuck; start a fresh one
+      sandbox.reload()
+      throw new Error(`Code execution timeout (${timeout / 1000} seconds)`)
+    }
+  }
 
-      const userFunction = new Function(...contextKeys, wrappedCode)
+  /**
+   * Execute user code in the sandbox iframe
+   * @param {string|{ entry: string, files: object }} code - Source code
+   *   written by the user, or a project (see sandbox/project.js)
+   * @param {object} sandbox - Bridge returned by useSandbox()
+   * @param {object} [options]
+   * @param {boolean} [options.preserveView] - Hot reload: keep the camera and
+   *   named objects' transforms the code did not change
+   * @param {string} [options.language] - 'javascript' or 'typescript'
+   */
+  const executeCode = async (
+    code,
+    sandbox,
+    { preserveView = false, language = 'javascript' } = {}
+  ) => {
+    isExecuting.value = true
+    executionError.value = null
+    executionSuccess.value = false
+    livePositions = createPositionMaps()
 
-      // Execute with timeout protection
-      const timeoutMs = 5000 // 5 second timeout
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Code execution timeout (5 seconds)')), timeoutMs)
-      })
+    try {
+      // Add infinite-loop checks and resolve imports
+      const instrumented = await prepareScript(code, language, livePositions)
 
-      const executionPromise = new Promise((resolve) => {
-        userFunction(...contextValues)
-        resolve()
-      })
+      // The sandbox runs the code in its own realm and answers with the
+      // outcome plus a serialized snapshot of the resulting scene
+      const result = await requestRun(
+        sandbox,
+        MessageType.EXECUTE,
+        { code: instrumented.code, imports: instrumented.imports, preserveView },
+        EXECUTION_TIMEOUT
+      )
 
-      await Promise.race([executionPromise, timeoutPromise])
+      if (!result.success) {
+        const errorInfo = locateError(result.error)
+        executionError.value = errorInfo
+        return { success: false, error: errorInfo, snapshot: null }
+      }
 
       executionSuccess.value = true
       return {
         success: true,
-        error: null
+        error: null,
+        snapshot: result.snapshot
       }
     } catch (error) {
-      const errorInfo = {
-        message: error.message,
-        line: parseErrorLine(error),
-        stack: error.stack,
-        type: error.name
-      }
-
+      const errorInfo = describeHostError(livePositions, error)
       executionError.value = errorInfo
 
       return {
         success: false,
-        error: errorInfo
+        error: errorInfo,
+        snapshot: null
       }
     } finally {
       isExecuting.value = false
     }
   }
 
+  /**
+   * Send code to run on the sandbox's virtual clock
+   *
+   * The live preview keeps running; errors are returned rather than shown.
+   */
+  const runOnVirtualClock = async (type, code, sandbox, language, payload) => {
+    const positions = createPositionMaps()
+    try {
+      const instrumented = await prepareScript(code, language, positions)
+      const response = await requestRun(
+        sandbox,
+        type,
+        { ...payload, code: instrumented.code, imports: instrumented.imports },
+        VIRTUAL_RUN_TIMEOUT
+      )
+
+      if (!response.success) {
+        return { success: false, error: locateWith(positions, response.error), result: null }
+      }
+      return response
+    } catch (error) {
+      return { success: false, error: describeHostError(positions, error), result: null }
+    }
+  }
+
+  /**
+   * Run user code against a virtual clock and step its frames
+   * @param {string} code - Source code written by the user
+   * @param {object} sandbox - Bridge returned by useSandbox()
+   * @param {object} [options]
+   * @param {string} [options.language] - 'javascript' or 'typescript'
+   * @param {number} [options.frames] - Frames to step after the run
+   * @param {number} [options.fps] - Frames per simulated second
+   * @param {number} [options.seed] - Seed for Math.random
+   * @returns {Promise<{ success: boolean, error: object|null, result: object|null }>} The
+   *   result holds a snapshot of the last frame and the transforms of every frame
+   */
+  const simulateCode = (
+    code,
+    sandbox,
+    { language = 'javascript', frames = 120, fps = 60, seed = 1 } = {}
+  ) => {
+    return runOnVirtualClock(MessageType.SIMULATE, code, sandbox, language, { frames, fps, seed })
+  }
+
+  /**
+   * Run user code like simulateCode(), then render it offscreen
+   * @param {string} code - Source code written by the user
+   * @param {object} sandbox - Bridge returned by useSandbox()
+   * @param {object} [options] - Also frames, fps and seed, as for simulateCode()
+   * @param {number} [options.width] - Image size in pixels
+   * @param {number} [options.height]
+   * @param {{ position?: number[], target?: number[], fov?: number }} [options.view] - Camera
+   *   to render with; see sandbox/imageCapture.js for the default
+   * @returns {Promise<{ success: boolean, error: object|null, result: object|null }>} The
+   *   result is the image: { width, height, pixels } with RGBA pixels, top row first
+   */
+  const renderCodeImage = (
+    code,
+    sandbox,
+    {
+      language = 'javascript',
+      width = 128,
+      height = 128,
+      view,
+      frames = 0,
+      fps = 60,
+      seed = 1
+    } = {}
+  ) => {
+    return runOnVirtualClock(MessageType.RENDER_IMAGE, code, sandbox, language, {
+      width,
+      height,
+      view,
+      frames,
+      fps,
+      seed
+    })
+  }
+
   /**
    * Get friendly error message for common errors
    */
@@ -120,6 +320,14 @@ export function useCodeExecution() {
       }
     }
 
+    if (type === 'InfiniteLoopError') {
+      return `${message}. It ran for too long without finishing - check that the loop's condition eventually becomes false, or that the function stops calling itself.`
+    }
+
+    if (type === 'RangeError' && message.includes('call stack')) {
+      return 'A function kept calling itself until the browser ran out of stack space. Check that your recursion has a stopping condition.'
+    }
+
     if (type === 'SyntaxError') {
       return `Syntax Error: ${message}. Check your code for typos, missing brackets, or semicolons.`
     }
@@ -149,9 +357,10 @@ export function useCodeExecution() {
     executionError,
     executionSuccess,
     executeCode,
-    createSafeContext,
+    simulateCode,
+    renderCodeImage,
     getFriendlyErrorMessage,
     clearExecutionState,
-    parseErrorLine
+    locateError
   }
 }
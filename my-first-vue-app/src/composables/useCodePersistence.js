@@ -1,119 +1,289 @@
-import { ref, watch } from 'vue'
+import { ref, computed, watch, toValue } from 'vue'
+import * as codeStorage from '../storage/codeStorage'
+
+// Named copy holding the version history of the saved code
+const HISTORY_COPY = 'history'
+// History limits; the oldest automatic snapshots go first
+const MAX_SNAPSHOTS = 50
+const MAX_HISTORY_LENGTH = 200000
+// Minimum time between the snapshots taken while typing
+const AUTO_SNAPSHOT_INTERVAL = 5 * 60 * 1000
+
+const savedKeys = () => {
+  return codeStorage.keys().filter((key) => key.startsWith(codeStorage.CODE_PREFIX))
+}
+
+/**
+ * Get all saved code snippets, copies and histories included, e.g. to export them
+ * @returns {{ key: string, code: string }[]}
+ */
+export const getAllSavedSnippets = () => {
+  return savedKeys().map((key) => ({
+    key: key.replace(codeStorage.CODE_PREFIX, ''),
+    code: codeStorage.getItem(key)
+  }))
+}
+
+/**
+ * Save code under a key of getAllSavedSnippets(), e.g. to import it
+ */
+export const saveSnippet = (key, code) => {
+  codeStorage.setItem(codeStorage.CODE_PREFIX + key, code)
+}
+
+/**
+ * Load code saved under a key of getAllSavedSnippets(), or null
+ */
+export const loadSnippet = (key) => codeStorage.getItem(codeStorage.CODE_PREFIX + key)
+
+/**
+ * Remove the code saved under a key, with its copies and history
+ */
+export const clearSnippet = (key) => {
+  const storageKey = codeStorage.CODE_PREFIX + key
+  savedKeys()
+    .filter((item) => item === storageKey || item.startsWith(`${storageKey}__`))
+    .forEach((item) => codeStorage.removeItem(item))
+}
+
+/**
+ * Clear all saved code snippets
+ */
+export const clearAllSaved = () => {
+  savedKeys().forEach((key) => codeStorage.removeItem(key))
+}
+
+const historyKey = (storageKey) => `${storageKey}__${HISTORY_COPY}`
+
+const loadHistoryOf = (storageKey) => {
+  try {
+    const saved = codeStorage.getItem(historyKey(storageKey))
+    return saved !== null ? JSON.parse(saved) : []
+  } catch (error) {
+    console.warn('Failed to load code history:', error)
+    return []
+  }
+}
+
+/**
+ * Drop snapshots until the history fits its limits, the oldest
+ * automatic ones first and named checkpoints last
+ */
+const pruneHistory = (snapshots) => {
+  const kept = [...snapshots]
+  const length = () => kept.reduce((total, snapshot) => total + snapshot.code.length, 0)
+  while (kept.length > MAX_SNAPSHOTS || (kept.length > 1 && length() > MAX_HISTORY_LENGTH)) {
+    const oldestAutomatic = kept.findLastIndex((snapshot) => snapshot.reason !== 'checkpoint')
+    kept.splice(oldestAutomatic !== -1 ? oldestAutomatic : kept.length - 1, 1)
+  }
+  return kept
+}
+
+/**
+ * Add a snapshot to a history, unless it is an automatic snapshot of the
+ * code the newest one already holds
+ * @returns {object[]|null} The new history, or null when skipped
+ */
+const addSnapshot = (snapshots, reason, name, code) => {
+  const [newest] = snapshots
+  if (reason !== 'checkpoint' && newest && newest.code === code) return null
+
+  const createdAt = new Date()
+  const snapshot = {
+    id: `${createdAt.getTime().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    reason,
+    name,
+    code,
+    createdAt: createdAt.toISOString()
+  }
+  return pruneHistory([snapshot, ...snapshots])
+}
 
 /**
- * Composable for persisting code in localStorage
- * @param {string} key - Unique key for this code snippet
- * @param {string} defaultCode - Default code to use if nothing is saved
+ * Add code to the version history kept under a key of getAllSavedSnippets(),
+ * e.g. before replacing code that is not open in an editor
+ * @param {'reset'|'restore'|'fork'} reason - See useCodePersistence()
+ */
+export const snapshotSnippet = (key, reason, code) => {
+  const storageKey = codeStorage.CODE_PREFIX + key
+  const snapshots = addSnapshot(loadHistoryOf(storageKey), reason, '', code)
+  if (snapshots) codeStorage.setItem(historyKey(storageKey), JSON.stringify(snapshots))
+}
+
+/**
+ * Composable for persisting code in the browser
+ *
+ * Code is kept by the storage layer (../storage/codeStorage), in IndexedDB or
+ * else localStorage; initCodeStorage() must have loaded it first.
+ *
+ * The key and default code may be refs or getters: when the key changes,
+ * pending changes are saved under the old key and the code saved under the
+ * new one is loaded, e.g. to keep one draft per challenge.
+ *
+ * Next to the saved code it keeps a version history: a snapshot every few
+ * minutes while the code changes, one on each run the caller reports, one
+ * before a reset, restore or fork of shared code, and checkpoints the user
+ * names. Snapshots are { id, reason, name, code, createdAt }, newest first,
+ * with reason 'auto', 'run', 'reset', 'restore', 'fork' or 'checkpoint'.
+ * @param {import('vue').MaybeRefOrGetter<string>} key - Unique key for this code snippet
+ * @param {import('vue').MaybeRefOrGetter<string>} defaultCode - Default code to use if
+ *   nothing is saved
  */
 export function useCodePersistence(key, defaultCode) {
-  const STORAGE_PREFIX = 'threejs_tutorial_code_'
-  const storageKey = STORAGE_PREFIX + key
+  const storageKey = computed(() => codeStorage.CODE_PREFIX + toValue(key))
+
+  // Other versions of the same code, e.g. the last one that passed a challenge
+  const copyKey = (name) => `${storageKey.value}__${name}`
 
   /**
-   * Load code from localStorage
+   * Load the saved code, or the default code
    */
   const loadCode = () => {
-    try {
-      const savedCode = localStorage.getItem(storageKey)
-      return savedCode !== null ? savedCode : defaultCode
-    } catch (error) {
-      console.warn('Failed to load code from localStorage:', error)
-      return defaultCode
-    }
+    const savedCode = codeStorage.getItem(storageKey.value)
+    return savedCode !== null ? savedCode : toValue(defaultCode)
   }
 
   /**
-   * Save code to localStorage
+   * Save code; failures are reported through useStorageStatus()
    */
-  const saveCode = (code) => {
-    try {
-      localStorage.setItem(storageKey, code)
-    } catch (error) {
-      console.warn('Failed to save code to localStorage:', error)
-    }
+  const saveCode = (code, storedKey = storageKey.value) => {
+    codeStorage.setItem(storedKey, code)
   }
 
   /**
    * Clear saved code
    */
   const clearSavedCode = () => {
-    try {
-      localStorage.removeItem(storageKey)
-    } catch (error) {
-      console.warn('Failed to clear code from localStorage:', error)
-    }
+    codeStorage.removeItem(storageKey.value)
   }
 
   /**
    * Check if there is saved code
    */
-  const hasSavedCode = () => {
-    try {
-      return localStorage.getItem(storageKey) !== null
-    } catch (error) {
-      return false
-    }
-  }
+  const hasSavedCode = () => codeStorage.getItem(storageKey.value) !== null
 
   /**
    * Reset to default code
+   *
+   * The code being replaced is kept in the history first.
    */
   const resetToDefault = () => {
+    if (code.value !== toValue(defaultCode)) {
+      takeSnapshot('reset')
+    }
     clearSavedCode()
-    return defaultCode
+    return toValue(defaultCode)
   }
 
   /**
-   * Get all saved code snippets (for listing purposes)
+   * Keep a named copy of some code next to the saved code
    */
-  const getAllSavedSnippets = () => {
-    try {
-      const snippets = []
-      for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i)
-        if (key && key.startsWith(STORAGE_PREFIX)) {
-          const snippetKey = key.replace(STORAGE_PREFIX, '')
-          const code = localStorage.getItem(key)
-          snippets.push({ key: snippetKey, code })
-        }
-      }
-      return snippets
-    } catch (error) {
-      console.warn('Failed to get saved snippets:', error)
-      return []
-    }
+  const saveCopy = (name, copy) => {
+    saveCode(copy, copyKey(name))
   }
 
   /**
-   * Clear all saved code snippets
+   * Load a named copy, or null when there is none
    */
-  const clearAllSaved = () => {
-    try {
-      const keysToRemove = []
-      for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i)
-        if (key && key.startsWith(STORAGE_PREFIX)) {
-          keysToRemove.push(key)
-        }
-      }
-      keysToRemove.forEach(key => localStorage.removeItem(key))
-    } catch (error) {
-      console.warn('Failed to clear all saved code:', error)
+  const loadCopy = (name) => codeStorage.getItem(copyKey(name))
+
+  /**
+   * Remove a named copy
+   */
+  const clearCopy = (name) => {
+    codeStorage.removeItem(copyKey(name))
+  }
+
+  const loadHistory = () => loadHistoryOf(storageKey.value)
+
+  const setHistory = (snapshots) => {
+    history.value = pruneHistory(snapshots)
+    saveCopy(HISTORY_COPY, JSON.stringify(history.value))
+  }
+
+  /**
+   * Add the current code, or other code, to the history
+   *
+   * Automatic snapshots of code the newest snapshot already holds are skipped.
+   * @param {'auto'|'run'|'reset'|'restore'|'fork'|'checkpoint'} reason
+   * @param {{ name?: string, code?: string }} [options]
+   * @returns {object|null} The snapshot, or null when skipped
+   */
+  const takeSnapshot = (reason, { name = '', code: snapshotCode = code.value } = {}) => {
+    const snapshots = addSnapshot(history.value, reason, name, snapshotCode)
+    if (!snapshots) return null
+    setHistory(snapshots)
+    return snapshots[0]
+  }
+
+  /**
+   * Keep the current code as a named checkpoint
+   */
+  const createCheckpoint = (name) => takeSnapshot('checkpoint', { name })
+
+  /**
+   * Code of a snapshot to put back in the editor; the code it replaces is
+   * kept in the history first
+   * @returns {string|null} null when there is no such snapshot
+   */
+  const restoreSnapshot = (id) => {
+    const snapshot = history.value.find((item) => item.id === id)
+    if (!snapshot) return null
+    if (code.value !== snapshot.code) {
+      takeSnapshot('restore')
     }
+    return snapshot.code
+  }
+
+  const deleteSnapshot = (id) => {
+    setHistory(history.value.filter((item) => item.id !== id))
   }
 
   // Create reactive code ref
   const code = ref(loadCode())
+  const history = ref(loadHistory())
 
   // Auto-save on changes (with debounce)
   let saveTimeout = null
+  let pendingSave = null
+  // Code just loaded for a new key; it does not need saving back
+  let loadedCode = null
+
+  const flushSave = () => {
+    if (!pendingSave) return
+    clearTimeout(saveTimeout)
+    pendingSave()
+    pendingSave = null
+  }
+
   watch(code, (newCode) => {
+    if (newCode === loadedCode) {
+      loadedCode = null
+      return
+    }
+    loadedCode = null
     if (saveTimeout) {
       clearTimeout(saveTimeout)
     }
-    saveTimeout = setTimeout(() => {
-      saveCode(newCode)
-    }, 500) // Save 500ms after last change
+    const savedKey = storageKey.value
+    pendingSave = () => {
+      saveCode(newCode, savedKey)
+      // Snapshots of the code as it grows, a few minutes apart
+      const newestAuto = history.value.find((snapshot) => snapshot.reason === 'auto')
+      const lastAutoAt = newestAuto ? Date.parse(newestAuto.createdAt) : 0
+      if (savedKey === storageKey.value && Date.now() - lastAutoAt >= AUTO_SNAPSHOT_INTERVAL) {
+        takeSnapshot('auto', { code: newCode })
+      }
+    }
+    saveTimeout = setTimeout(flushSave, 500) // Save 500ms after last change
+  })
+
+  // Switch to the code saved under the new key
+  watch(storageKey, () => {
+    flushSave()
+    loadedCode = loadCode()
+    code.value = loadedCode
+    history.value = loadHistory()
   })
 
   return {
@@ -123,6 +293,14 @@ export function useCodePersistence(key, defaultCode) {
     clearSavedCode,
     hasSavedCode,
     resetToDefault,
+    saveCopy,
+    loadCopy,
+    clearCopy,
+    history,
+    takeSnapshot,
+    createCheckpoint,
+    restoreSnapshot,
+    deleteSnapshot,
     getAllSavedSnippets,
     clearAllSaved
   }
@@ -115,20 +115,25 @@ scene.add(plane)`
    * Animation snippets
    */
   const animationSnippets = {
+    frameLoop: {
+      label: 'Frame Loop (onFrame)',
+      category: 'Animation',
+      description: 'Time-based animation that runs every frame',
+      code: `onFrame((dt, elapsed) => {
+  // dt: seconds since the last frame, elapsed: seconds since the code started
+  mesh.rotation.y += dt * 1.5
+  mesh.position.y = Math.sin(elapsed * 2) * 0.5
+})`
+    },
     rotate: {
       label: 'Rotation Animation',
       category: 'Animation',
       description: 'Continuously rotate an object',
-      code: `function animate() {
-  requestAnimationFrame(animate)
-
+      code: `onFrame(() => {
   // Rotate the object
   mesh.rotation.x += 0.01
   mesh.rotation.y += 0.01
-
-  renderer.render(scene, camera)
-}
-animate()`
+})`
     },
     bounce: {
       label: 'Bouncing Animation',
@@ -138,9 +143,7 @@ animate()`
 const maxHeight = 2
 const minHeight = 0
 
-function animate() {
-  requestAnimationFrame(animate)
-
+onFrame(() => {
   // Move up and down
   mesh.position.y += 0.02 * direction
 
@@ -148,10 +151,7 @@ function animate() {
   if (mesh.position.y > maxHeight || mesh.position.y < minHeight) {
     direction *= -1
   }
-
-  renderer.render(scene, camera)
-}
-animate()`
+})`
     },
     orbit: {
       label: 'Orbital Motion',
@@ -160,17 +160,12 @@ animate()`
       code: `let angle = 0
 const radius = 3
 
-function animate() {
-  requestAnimationFrame(animate)
-
+onFrame(() => {
   // Calculate orbital position
   angle += 0.01
   mesh.position.x = Math.cos(angle) * radius
   mesh.position.z = Math.sin(angle) * radius
-
-  renderer.render(scene, camera)
-}
-animate()`
+})`
     },
     scale: {
       label: 'Pulsing Scale',
@@ -179,9 +174,7 @@ animate()`
       code: `let scale = 1
 let growing = true
 
-function animate() {
-  requestAnimationFrame(animate)
-
+onFrame(() => {
   // Pulse between 0.5 and 1.5
   if (growing) {
     scale += 0.01
@@ -192,10 +185,7 @@ function animate() {
   }
 
   mesh.scale.set(scale, scale, scale)
-
-  renderer.render(scene, camera)
-}
-animate()`
+})`
     }
   }
 
@@ -303,6 +293,56 @@ material.color.setHex(randomColor)`
     }
   }
 
+  /**
+   * Snippets using three.js addons (three/addons/...)
+   */
+  const addonSnippets = {
+    roundedBox: {
+      label: 'Rounded Box',
+      category: 'Addons',
+      description: 'Box with rounded edges from the geometries addon',
+      code: `import { RoundedBoxGeometry } from 'three/addons/geometries/RoundedBoxGeometry.js'
+
+const geometry = new RoundedBoxGeometry(1.5, 1.5, 1.5, 4, 0.2)
+const material = new THREE.MeshStandardMaterial({ color: 0x42b883 })
+const roundedBox = new THREE.Mesh(geometry, material)
+scene.add(roundedBox)`
+    },
+    transformControls: {
+      label: 'Transform Controls',
+      category: 'Addons',
+      description: 'Drag an object around with a gizmo',
+      code: `import { TransformControls } from 'three/addons/controls/TransformControls.js'
+
+const gizmo = new TransformControls(camera, renderer.domElement)
+gizmo.attach(cube)
+scene.add(gizmo.getHelper())
+
+// Don't orbit the camera while dragging the gizmo
+gizmo.addEventListener('dragging-changed', (event) => {
+  controls.enabled = !event.value
+})`
+    },
+    bloom: {
+      label: 'Bloom Effect',
+      category: 'Addons',
+      description: 'Glow with EffectComposer and UnrealBloomPass',
+      code: `import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js'
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js'
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js'
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js'
+
+const size = renderer.getSize(new THREE.Vector2())
+const composer = new EffectComposer(renderer)
+composer.addPass(new RenderPass(scene, camera))
+composer.addPass(new UnrealBloomPass(size, 1.5, 0.4, 0.1))
+composer.addPass(new OutputPass())
+
+// Draw frames through the composer instead of renderer.render()
+renderWith(() => composer.render())`
+    }
+  }
+
   /**
    * Complete examples
    */
@@ -326,13 +366,10 @@ directionalLight.position.set(5, 5, 5)
 scene.add(directionalLight)
 
 // Animation loop
-function animate() {
-  requestAnimationFrame(animate)
+onFrame(() => {
   cube.rotation.x += 0.01
   cube.rotation.y += 0.01
-  renderer.render(scene, camera)
-}
-animate()`
+})`
     },
     multipleObjects: {
       label: 'Multiple Objects',
@@ -366,14 +403,11 @@ directionalLight.position.set(5, 5, 5)
 scene.add(ambientLight, directionalLight)
 
 // Animate
-function animate() {
-  requestAnimationFrame(animate)
+onFrame(() => {
   cube.rotation.y += 0.01
   sphere.rotation.y += 0.02
   cone.rotation.y += 0.03
-  renderer.render(scene, camera)
-}
-animate()`
+})`
     }
   }
 
@@ -387,6 +421,7 @@ animate()`
       animation: animationSnippets,
       lighting: lightingSnippets,
       helpers: helperSnippets,
+      addons: addonSnippets,
       templates: exampleTemplates
     }
   }
@@ -437,6 +472,7 @@ animate()`
     animationSnippets,
     lightingSnippets,
     helperSnippets,
+    addonSnippets,
     exampleTemplates,
     getAllSnippets,
     getSnippetsArray,
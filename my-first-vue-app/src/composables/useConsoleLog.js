@@ -0,0 +1,56 @@
+import { ref } from 'vue'
+
+/**
+ * Composable holding the entries shown in the console panel
+ * @param {number} maxEntries - Oldest entries are dropped beyond this count
+ */
+export function useConsoleLog(maxEntries = 500) {
+  const entries = ref([])
+  let nextId = 1
+
+  /**
+   * Add an entry sent by the sandbox console
+   *
+   * An entry identical to the previous one only bumps its repeat count, so
+   * a log inside an animation loop shows up as one line with a counter.
+   */
+  const addEntry = (entry) => {
+    const signature = JSON.stringify([entry.level, entry.args, entry.table || null])
+    const last = entries.value[entries.value.length - 1]
+
+    if (last && last.signature === signature) {
+      last.count++
+      last.timestamp = entry.timestamp
+      return
+    }
+
+    entries.value.push({ ...entry, id: nextId++, count: 1, signature })
+
+    if (entries.value.length > maxEntries) {
+      entries.value.splice(0, entries.value.length - maxEntries)
+    }
+  }
+
+  /**
+   * Add an execution or runtime error
+   */
+  const addError = (error) => {
+    const location = error.line ? ` (line ${error.line})` : ''
+    addEntry({
+      level: 'error',
+      args: [{ type: 'string', preview: `${error.type || 'Error'}: ${error.message}${location}` }],
+      timestamp: Date.now()
+    })
+  }
+
+  const clear = () => {
+    entries.value = []
+  }
+
+  return {
+    entries,
+    addEntry,
+    addError,
+    clear
+  }
+}
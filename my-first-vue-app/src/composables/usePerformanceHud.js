@@ -0,0 +1,149 @@
+import { ref, computed } from 'vue'
+import { createRendererStats, SAMPLE_INTERVAL } from '../sandbox/rendererStats'
+
+// Resource counts watched for leaks
+const RESOURCES = [
+  { key: 'geometries', label: 'Geometries' },
+  { key: 'textures', label: 'Textures' },
+  { key: 'programs', label: 'Shader programs' }
+]
+
+// Samples a count must keep growing over, and by how much, to be a leak
+const GROWTH_SAMPLES = 6
+const GROWTH_MIN = 3
+// Consecutive runs a count must go up after to be a leak across runs
+const RUN_LEAK_RUNS = 3
+
+/**
+ * Whether `values` never go down and end at least GROWTH_MIN higher
+ */
+const growsSteadily = (values) => {
+  const rising = values.every((value, index) => index === 0 || value >= values[index - 1])
+  return rising && values[values.length - 1] - values[0] >= GROWTH_MIN
+}
+
+const growthWarnings = (samples) => {
+  if (samples.length < GROWTH_SAMPLES) return []
+
+  const recent = samples.slice(-GROWTH_SAMPLES)
+  const seconds = Math.round(((GROWTH_SAMPLES - 1) * SAMPLE_INTERVAL) / 1000)
+
+  return RESOURCES.filter(({ key }) => growsSteadily(recent.map((sample) => sample[key]))).map(
+    ({ key, label }) => {
+      const growth = recent[recent.length - 1][key] - recent[0][key]
+      return {
+        key: `frames-${key}`,
+        message:
+          `${label} keep growing (+${growth} in ${seconds}s). Something creates new ones ` +
+          'every frame: create them once outside onFrame() and reuse them, or dispose() ' +
+          'the ones you replace.'
+      }
+    }
+  )
+}
+
+const runWarnings = (baselines) => {
+  if (baselines.length < RUN_LEAK_RUNS + 1) return []
+
+  const recent = baselines.slice(-(RUN_LEAK_RUNS + 1))
+
+  return RESOURCES.filter(({ key }) =>
+    recent.every((baseline, index) => index === 0 || baseline[key] > recent[index - 1][key])
+  ).map(({ key, label }) => ({
+    key: `runs-${key}`,
+    message:
+      `${label} went up after each of the last ${RUN_LEAK_RUNS} runs ` +
+      `(${recent[0][key]} → ${recent[recent.length - 1][key]}). ` +
+      "Unless your code now creates more, resources from earlier runs aren't being released."
+  }))
+}
+
+/**
+ * Composable holding the performance HUD's history and leak warnings
+ *
+ * Samples come either from the sandbox (see addSample) or from a renderer
+ * on the page (see trackRenderer).
+ * @param {number} historySize - Samples kept for the history graph
+ */
+export function usePerformanceHud(historySize = 60) {
+  const samples = ref([])
+  // Resource counts right after each run
+  const runBaselines = ref([])
+
+  let awaitingBaseline = false
+  let trackingFrame = null
+
+  const latest = computed(() => samples.value[samples.value.length - 1] || null)
+
+  const warnings = computed(() => [
+    ...growthWarnings(samples.value),
+    ...runWarnings(runBaselines.value)
+  ])
+
+  const addSample = (sample) => {
+    samples.value.push(sample)
+    if (samples.value.length > historySize) {
+      samples.value.splice(0, samples.value.length - historySize)
+    }
+
+    if (awaitingBaseline) {
+      awaitingBaseline = false
+      runBaselines.value.push(sample)
+      if (runBaselines.value.length > RUN_LEAK_RUNS + 1) runBaselines.value.shift()
+    }
+  }
+
+  /**
+   * Note that the code was just run; the next sample is its baseline
+   */
+  const markRun = () => {
+    awaitingBaseline = true
+  }
+
+  const stopTracking = () => {
+    if (trackingFrame !== null) {
+      cancelAnimationFrame(trackingFrame)
+      trackingFrame = null
+    }
+  }
+
+  /**
+   * Sample a renderer on this page from an animation frame loop of its own
+   */
+  const trackRenderer = (renderer) => {
+    stopTracking()
+
+    const stats = createRendererStats(renderer)
+    let lastSample = performance.now()
+
+    const tick = (now) => {
+      trackingFrame = requestAnimationFrame(tick)
+      // Whatever was rendered since the previous tick is one frame
+      stats.endFrame()
+      stats.beginFrame(now)
+
+      if (now - lastSample >= SAMPLE_INTERVAL) {
+        lastSample = now
+        addSample(stats.sample(now))
+      }
+    }
+    trackingFrame = requestAnimationFrame(tick)
+  }
+
+  const clear = () => {
+    samples.value = []
+    runBaselines.value = []
+    awaitingBaseline = false
+  }
+
+  return {
+    samples,
+    latest,
+    warnings,
+    addSample,
+    markRun,
+    trackRenderer,
+    stopTracking,
+    clear
+  }
+}
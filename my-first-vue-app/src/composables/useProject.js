@@ -0,0 +1,171 @@
+import { ref, computed, watch, nextTick, toValue } from 'vue'
+import {
+  useCodePersistence,
+  loadSnippet,
+  saveSnippet,
+  clearSnippet,
+  snapshotSnippet
+} from './useCodePersistence'
+
+// Id of the entry file, whose name follows the language
+const ENTRY = ''
+
+/**
+ * Text a new file starts with; JSON must parse before the project can run
+ */
+const newFileText = (path) => (path.endsWith('.json') ? '{}\n' : '')
+
+/**
+ * Composable for a project of several files in one editor (Chapter 12)
+ *
+ * The entry file is saved under `key`, like single-file code was, and every
+ * other file under `<key>/<path>`, each with its own version history. The
+ * list of files is saved as the copy `<key>__project`. One
+ * useCodePersistence() follows the file that is open, so `code`, the
+ * history and resetToDefault() are always about that file.
+ * @param {string} key - Unique key for the project
+ * @param {object} options
+ * @param {string} options.defaultCode - Entry file code when nothing is saved
+ * @param {import('vue').MaybeRefOrGetter<string>} options.entry - Name of the
+ *   entry file, e.g. 'main.js' or 'main.ts'
+ */
+export function useProject(key, { defaultCode, entry }) {
+  const manifestKey = `${key}__project`
+  const fileKey = (id) => (id === ENTRY ? key : `${key}/${id}`)
+
+  const loadPaths = () => {
+    try {
+      const saved = loadSnippet(manifestKey)
+      const paths = saved !== null ? JSON.parse(saved).files : []
+      return Array.isArray(paths) ? paths.filter((path) => typeof path === 'string') : []
+    } catch (error) {
+      console.warn('Failed to load the project files:', error)
+      return []
+    }
+  }
+
+  // Files other than the entry, in the order they were added
+  const paths = ref(loadPaths())
+  // Id of the open file: a path, or ENTRY
+  const activeId = ref(ENTRY)
+
+  const savePaths = () => {
+    saveSnippet(manifestKey, JSON.stringify({ files: paths.value }))
+  }
+
+  const defaultFor = (id) => (id === ENTRY ? defaultCode : newFileText(id))
+
+  const persistence = useCodePersistence(
+    () => fileKey(activeId.value),
+    () => defaultFor(activeId.value)
+  )
+  const { code } = persistence
+
+  // Text of every file by id; the open one follows `code`
+  const contents = ref({
+    [ENTRY]: code.value,
+    ...Object.fromEntries(
+      paths.value.map((path) => [path, loadSnippet(fileKey(path)) ?? newFileText(path)])
+    )
+  })
+
+  watch(code, (text) => {
+    contents.value[activeId.value] = text
+  })
+
+  const entryPath = computed(() => toValue(entry))
+  const toPath = (id) => (id === ENTRY ? entryPath.value : id)
+  const toId = (path) => (path === entryPath.value ? ENTRY : path)
+
+  // Path of the open file
+  const activePath = computed(() => toPath(activeId.value))
+
+  // Text of every file by path, the entry first
+  const files = computed(() => {
+    return Object.fromEntries([ENTRY, ...paths.value].map((id) => [toPath(id), contents.value[id]]))
+  })
+
+  // What InteractiveCanvas runs
+  const project = computed(() => ({ entry: entryPath.value, files: files.value }))
+
+  // Default code of the open file, e.g. for the history's comparisons
+  const activeDefaultCode = computed(() => defaultFor(activeId.value))
+
+  /**
+   * Show a file in the editor
+   */
+  const openFile = (path) => {
+    const id = toId(path)
+    if (id === ENTRY || paths.value.includes(id)) {
+      activeId.value = id
+    }
+  }
+
+  /**
+   * Add a file and open it; see findFileNameProblem() for valid names
+   */
+  const addFile = (path) => {
+    if (!paths.value.includes(path)) {
+      paths.value = [...paths.value, path]
+      contents.value[path] = newFileText(path)
+      savePaths()
+    }
+    openFile(path)
+  }
+
+  /**
+   * Delete a file other than the entry, with its history
+   */
+  const deleteFile = (path) => {
+    const id = toId(path)
+    if (id === ENTRY || !paths.value.includes(id)) return
+    if (activeId.value === id) activeId.value = ENTRY
+
+    paths.value = paths.value.filter((item) => item !== id)
+    delete contents.value[id]
+    savePaths()
+    // Once the open file has switched, which saves its pending changes
+    nextTick(() => clearSnippet(fileKey(id)))
+  }
+
+  /**
+   * Replace the text of a file, adding it if the project does not have it;
+   * the text it replaces is kept in the file's history
+   * @param {string} path
+   * @param {string} text
+   * @param {'reset'|'restore'|'fork'} reason - Of the history snapshot
+   */
+  const replaceFile = (path, text, reason) => {
+    const id = toId(path)
+    if (id !== ENTRY && !paths.value.includes(id)) {
+      paths.value = [...paths.value, id]
+      savePaths()
+    } else if (contents.value[id] !== text) {
+      if (id === activeId.value) {
+        persistence.takeSnapshot(reason)
+      } else {
+        snapshotSnippet(fileKey(id), reason, contents.value[id])
+      }
+    }
+
+    contents.value[id] = text
+    if (id === activeId.value) {
+      code.value = text
+    } else {
+      saveSnippet(fileKey(id), text)
+    }
+  }
+
+  return {
+    ...persistence,
+    entryPath,
+    activePath,
+    activeDefaultCode,
+    files,
+    project,
+    openFile,
+    addFile,
+    deleteFile,
+    replaceFile
+  }
+}
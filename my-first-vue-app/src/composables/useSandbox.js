@@ -0,0 +1,169 @@
+import { ref } from 'vue'
+import { MessageType, createMessage, isSandboxMessage } from '../sandbox/protocol'
+
+/**
+ * URL of the sandbox page loaded into the preview iframe
+ */
+export const SANDBOX_URL = `${import.meta.env.BASE_URL}sandbox.html`
+
+/**
+ * Composable for talking to the code sandbox iframe
+ *
+ * Wraps postMessage in promise-based requests and lets callers subscribe
+ * to events the sandbox sends on its own (runtime errors, ...).
+ */
+/**
+ * Error for a REQUEST_FAILED answer, from the serialized error it carries
+ */
+const toRequestError = (serialized) => {
+  const error = new Error(serialized?.message || 'The sandbox could not answer')
+  error.name = serialized?.type || 'Error'
+  if (serialized?.stack) error.stack = serialized.stack
+  return error
+}
+
+export function useSandbox() {
+  const isReady = ref(false)
+
+  let frame = null
+  let nextRequestId = 1
+  const pendingRequests = new Map()
+  const eventHandlers = new Map()
+  let readyWaiters = []
+
+  /**
+   * Handle a message coming from the sandbox window
+   */
+  const handleMessage = (event) => {
+    if (!frame || event.source !== frame.contentWindow) return
+    if (!isSandboxMessage(event.data)) return
+
+    const { type, id, payload } = event.data
+
+    if (type === MessageType.READY) {
+      isReady.value = true
+      readyWaiters.forEach((resolve) => resolve())
+      readyWaiters = []
+    }
+
+    if (type === MessageType.RESPONSE || type === MessageType.REQUEST_FAILED) {
+      const pending = pendingRequests.get(id)
+      if (pending) {
+        pendingRequests.delete(id)
+        clearTimeout(pending.timeoutId)
+        if (type === MessageType.RESPONSE) {
+          pending.resolve(payload)
+        } else {
+          pending.reject(toRequestError(payload))
+        }
+      }
+      return
+    }
+
+    const handlers = eventHandlers.get(type)
+    if (handlers) {
+      handlers.forEach((handler) => handler(payload))
+    }
+  }
+
+  /**
+   * Start listening to the given iframe element
+   */
+  const attach = (iframe) => {
+    frame = iframe
+    window.addEventListener('message', handleMessage)
+  }
+
+  /**
+   * Stop listening and reject every request still waiting for an answer
+   */
+  const detach = () => {
+    window.removeEventListener('message', handleMessage)
+    rejectPending(new Error('Sandbox was closed'))
+    frame = null
+    isReady.value = false
+  }
+
+  /**
+   * Resolve once the sandbox runtime has booted
+   */
+  const whenReady = () => {
+    if (isReady.value) return Promise.resolve()
+    return new Promise((resolve) => readyWaiters.push(resolve))
+  }
+
+  /**
+   * Send a request and resolve with the sandbox's answer
+   *
+   * Posts synchronously when the sandbox is already up, so a request made
+   * right before detach() still reaches it.
+   */
+  const request = (type, payload = null, { timeout = 0 } = {}) => {
+    if (!isReady.value) {
+      return whenReady().then(() => request(type, payload, { timeout }))
+    }
+
+    if (!frame || !frame.contentWindow) {
+      return Promise.reject(new Error('Sandbox is not available'))
+    }
+
+    const id = nextRequestId++
+
+    return new Promise((resolve, reject) => {
+      const timeoutId = timeout
+        ? setTimeout(() => {
+            pendingRequests.delete(id)
+            const error = new Error(`Sandbox did not answer within ${timeout / 1000} seconds`)
+            error.name = 'TimeoutError'
+            reject(error)
+          }, timeout)
+        : null
+
+      pendingRequests.set(id, { resolve, reject, timeoutId })
+      frame.contentWindow.postMessage(createMessage(type, payload, id), '*')
+    })
+  }
+
+  /**
+   * Subscribe to a sandbox event, returns an unsubscribe function
+   */
+  const on = (type, handler) => {
+    if (!eventHandlers.has(type)) {
+      eventHandlers.set(type, new Set())
+    }
+    eventHandlers.get(type).add(handler)
+
+    return () => eventHandlers.get(type).delete(handler)
+  }
+
+  /**
+   * Reload the sandbox page, e.g. after it stopped responding
+   */
+  const reload = () => {
+    if (!frame) return
+
+    rejectPending(new Error('Sandbox was reloaded'))
+    isReady.value = false
+    // Reassigning src navigates again, giving a fresh document and realm
+    const src = frame.src
+    frame.src = src
+  }
+
+  const rejectPending = (error) => {
+    pendingRequests.forEach((pending) => {
+      clearTimeout(pending.timeoutId)
+      pending.reject(error)
+    })
+    pendingRequests.clear()
+  }
+
+  return {
+    isReady,
+    attach,
+    detach,
+    whenReady,
+    request,
+    on,
+    reload
+  }
+}
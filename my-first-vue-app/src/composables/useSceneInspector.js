@@ -0,0 +1,219 @@
+import { ref, computed } from 'vue'
+import { MessageType } from '../sandbox/protocol'
+import { formatNumber } from '../sandbox/inspect'
+
+const TRANSFORM_KEYS = ['position', 'rotation', 'scale']
+const MATERIAL_NUMBER_KEYS = ['metalness', 'roughness']
+
+const formatHex = (hex) => `0x${hex.toString(16).padStart(6, '0')}`
+
+const quote = (text) => `'${text.replace(/['\\]/g, '\\$&')}'`
+
+const formatVector = (values) => values.map(formatNumber).join(', ')
+
+/**
+ * Walk a described scene, calling `visit(node, path)` for every node;
+ * `path` holds the child indices from the scene down to the node
+ */
+const walk = (node, visit, path = []) => {
+  visit(node, path)
+  node.children.forEach((child, index) => walk(child, visit, [...path, index]))
+}
+
+const findByUuid = (tree, uuid) => {
+  let found = null
+  if (tree) {
+    walk(tree, (node, path) => {
+      if (!found && node.uuid === uuid) found = { node, path }
+    })
+  }
+  return found
+}
+
+const findByPath = (tree, path) => {
+  let node = tree
+  for (const index of path) {
+    node = node && node.children[index]
+  }
+  return node || null
+}
+
+/**
+ * Expression that finds an object again in user code: by name when the
+ * name is unique, by position in the scene graph otherwise
+ */
+const objectExpression = (tree, node, path) => {
+  if (node.name) {
+    let count = 0
+    walk(tree, (other) => {
+      if (other.name === node.name) count++
+    })
+    if (count === 1) return `scene.getObjectByName(${quote(node.name)})`
+  }
+  return ['scene', ...path.map((index) => `children[${index}]`)].join('.')
+}
+
+/**
+ * Statements that set the edited properties of one object
+ */
+const editStatements = (node, keys) => {
+  const lines = []
+  const materialLines = []
+  const material = node.material && node.material.count > 1 ? 'material' : 'object.material'
+
+  TRANSFORM_KEYS.forEach((key) => {
+    if (keys.has(key)) lines.push(`object.${key}.set(${formatVector(node.transform[key])})`)
+  })
+  if (keys.has('visible')) lines.push(`object.visible = ${node.visible}`)
+  if (keys.has('intensity')) lines.push(`object.intensity = ${formatNumber(node.light.intensity)}`)
+
+  if (keys.has('color')) {
+    materialLines.push(`${material}.color.setHex(${formatHex(node.material.color)})`)
+  }
+  MATERIAL_NUMBER_KEYS.forEach((key) => {
+    if (keys.has(key)) materialLines.push(`${material}.${key} = ${formatNumber(node.material[key])}`)
+  })
+
+  if (materialLines.length > 0 && material === 'material') {
+    // Multi-material objects get the same edit on every material
+    lines.push(
+      'object.material.forEach((material) => {',
+      ...materialLines.map((line) => `  ${line}`),
+      '})'
+    )
+  } else {
+    lines.push(...materialLines)
+  }
+
+  return lines
+}
+
+/**
+ * Composable for the scene inspector panel
+ *
+ * Keeps a description of the sandbox scene, the selected object and which
+ * properties were edited in the panel, so the edits can be copied back
+ * into the code.
+ * @param {object} sandbox - Bridge returned by useSandbox()
+ */
+export function useSceneInspector(sandbox) {
+  const tree = ref(null)
+  const selectedUuid = ref(null)
+  // Edited property names by object uuid
+  const edits = ref(new Map())
+
+  const selectedNode = computed(() => {
+    const found = findByUuid(tree.value, selectedUuid.value)
+    return found ? found.node : null
+  })
+
+  const editCount = computed(() => edits.value.size)
+
+  /**
+   * Ask the sandbox, resolving with null when it could not answer; the
+   * panel is a view of the scene, so a missed update is not worth more
+   */
+  const ask = async (type, payload) => {
+    try {
+      return await sandbox.request(type, payload)
+    } catch (error) {
+      console.warn(`Scene inspector request ${type} failed:`, error)
+      return null
+    }
+  }
+
+  /**
+   * Highlight an object in the viewport; null clears the highlight
+   */
+  const select = async (uuid) => {
+    selectedUuid.value = uuid
+    await ask(MessageType.SELECT_OBJECT, { uuid })
+  }
+
+  /**
+   * Describe the scene again, e.g. after a run
+   *
+   * A run rebuilds every object, so edits are dropped. The selection moves
+   * to the object at the same place in the new scene, if it is still the
+   * same kind of object, so live coding does not lose it on every keystroke.
+   */
+  const refresh = async () => {
+    const previous = findByUuid(tree.value, selectedUuid.value)
+
+    const described = await ask(MessageType.INSPECT)
+    if (!described) return
+    tree.value = described
+    edits.value = new Map()
+
+    if (!previous) {
+      selectedUuid.value = null
+      return
+    }
+    const match = findByPath(tree.value, previous.path)
+    const same = match && match.type === previous.node.type && match.name === previous.node.name
+    await select(same ? match.uuid : null)
+  }
+
+  /**
+   * Apply a live edit to an object
+   * @param {string} uuid
+   * @param {object} changes - See applyChanges() in sandbox/sceneInspector.js
+   */
+  const update = async (uuid, changes) => {
+    const found = findByUuid(tree.value, uuid)
+    if (!found) return
+
+    const keys = edits.value.get(uuid) || new Set()
+    Object.keys(changes).forEach((key) => keys.add(key))
+    edits.value.set(uuid, keys)
+
+    const described = await ask(MessageType.UPDATE_OBJECT, { uuid, changes })
+    if (described) {
+      Object.assign(found.node, described)
+    }
+  }
+
+  // JavaScript that reproduces the edits made in the panel
+  const editsCode = computed(() => {
+    const blocks = []
+
+    edits.value.forEach((keys, uuid) => {
+      const found = findByUuid(tree.value, uuid)
+      if (!found) return
+
+      const label = found.node.name ? `'${found.node.name}'` : found.node.type
+      blocks.push(
+        [
+          `// ${label}`,
+          '{',
+          `  const object = ${objectExpression(tree.value, found.node, found.path)}`,
+          ...editStatements(found.node, keys).map((line) => `  ${line}`),
+          '}'
+        ].join('\n')
+      )
+    })
+
+    return blocks.length > 0 ? `// Values edited in the scene inspector\n${blocks.join('\n')}\n` : ''
+  })
+
+  /**
+   * Forget the scene, e.g. when the sandbox was reset
+   */
+  const clear = () => {
+    tree.value = null
+    selectedUuid.value = null
+    edits.value = new Map()
+  }
+
+  return {
+    tree,
+    selectedUuid,
+    selectedNode,
+    editCount,
+    select,
+    refresh,
+    update,
+    editsCode,
+    clear
+  }
+}
@@ -0,0 +1,177 @@
+import { ref, watch } from 'vue'
+import { useRoute, useRouter } from 'vue-router'
+import { findFileNameProblem } from '../sandbox/project'
+
+// Fragment parameter of a share link: /chapter-12#share=<code>
+const SHARE_PARAM = 'share'
+const SHARE_VERSION = 1
+// Longer links may be cut off by chat apps and some browsers
+export const SHARE_URL_WARNING_LENGTH = 8000
+
+const toBase64Url = (bytes) => {
+  let binary = ''
+  bytes.forEach((byte) => (binary += String.fromCharCode(byte)))
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'))
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0))
+}
+
+const pipeBytes = async (bytes, transform) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform)
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+/**
+ * Compress code and where it comes from into the text of a share link
+ * @param {{ code: string, language: string, files?: object, context: object }} shared -
+ *   files holds the other files of a project by path, next to the entry
+ *   file's code; context is { chapter } or { chapter, challengeId }
+ * @returns {Promise<string>}
+ */
+export const encodeSharedCode = async ({ code, language, files = {}, context }) => {
+  const json = JSON.stringify({ version: SHARE_VERSION, code, language, files, context })
+  const bytes = await pipeBytes(
+    new TextEncoder().encode(json),
+    new CompressionStream('deflate-raw')
+  )
+  return toBase64Url(bytes)
+}
+
+/**
+ * Read the text of a share link back
+ * @param {string} encoded - From encodeSharedCode()
+ * @returns {Promise<{ code: string, language: string, files: object, context: object }>}
+ */
+export const decodeSharedCode = async (encoded) => {
+  let data
+  try {
+    const bytes = await pipeBytes(fromBase64Url(encoded), new DecompressionStream('deflate-raw'))
+    data = JSON.parse(new TextDecoder().decode(bytes))
+  } catch (error) {
+    throw new Error('This share link is incomplete or damaged; ask for a new one.', {
+      cause: error
+    })
+  }
+  if (!data || typeof data.code !== 'string') {
+    throw new Error('This share link holds no code.')
+  }
+  if (data.version > SHARE_VERSION) {
+    throw new Error('This share link comes from a newer version of the app; reload to update.')
+  }
+  // Links made before projects have no files; files with bad names are dropped
+  const files = Object.entries(data.files || {}).filter(([path, text]) => {
+    return typeof text === 'string' && !findFileNameProblem(path, [])
+  })
+  return {
+    code: data.code,
+    language: data.language === 'typescript' ? 'typescript' : 'javascript',
+    files: Object.fromEntries(files),
+    context: data.context || {}
+  }
+}
+
+/**
+ * Composable for sharing code as a link to the playground (Chapter 12)
+ *
+ * The code is compressed into the fragment, so it never reaches a server.
+ */
+export function useShareLink() {
+  const router = useRouter()
+
+  // The last link made, and whether it made it to the clipboard
+  const shareUrl = ref(null)
+  const copied = ref(false)
+  // Why the last link could not be made, e.g. no CompressionStream
+  const shareError = ref(null)
+
+  /**
+   * Make a share link and copy it to the clipboard; never rejects
+   * @param {{ code: string, language: string, files?: object, context: object }} shared
+   * @returns {Promise<string|null>} The link, or null when it could not be
+   *   made (see shareError)
+   */
+  const shareCode = async (shared) => {
+    shareError.value = null
+    copied.value = false
+    try {
+      const encoded = await encodeSharedCode(shared)
+      const { href } = router.resolve({ name: 'chapter-12', hash: `#${SHARE_PARAM}=${encoded}` })
+      shareUrl.value = new URL(href, window.location.origin).href
+    } catch (error) {
+      console.error('Failed to make a share link:', error)
+      shareUrl.value = null
+      shareError.value = `The share link could not be made: ${error.message}`
+      return null
+    }
+    try {
+      await navigator.clipboard.writeText(shareUrl.value)
+      copied.value = true
+    } catch (error) {
+      console.warn('Failed to copy the share link:', error)
+    }
+    return shareUrl.value
+  }
+
+  const closeShare = () => {
+    shareUrl.value = null
+    shareError.value = null
+  }
+
+  return {
+    shareUrl,
+    copied,
+    shareError,
+    shareCode,
+    closeShare
+  }
+}
+
+/**
+ * Composable for opening the share link the page was opened with
+ *
+ * The shared code is only shown; nothing of it is saved until forked.
+ */
+export function useSharedCopy() {
+  const route = useRoute()
+  const router = useRouter()
+
+  // { code, language, files, context } of the link, while it is shown
+  const sharedCopy = ref(null)
+  const sharedCopyError = ref(null)
+
+  const readFragment = async (hash) => {
+    const params = new URLSearchParams(hash.slice(1))
+    const encoded = params.get(SHARE_PARAM)
+    if (!encoded) {
+      sharedCopy.value = null
+      return
+    }
+    try {
+      sharedCopy.value = await decodeSharedCode(encoded)
+      sharedCopyError.value = null
+    } catch (error) {
+      sharedCopy.value = null
+      sharedCopyError.value = error.message
+    }
+  }
+
+  watch(() => route.hash, readFragment, { immediate: true })
+
+  /**
+   * Stop showing the shared code, and drop it from the address
+   */
+  const closeSharedCopy = () => {
+    sharedCopy.value = null
+    sharedCopyError.value = null
+    router.replace({ hash: '' })
+  }
+
+  return {
+    sharedCopy,
+    sharedCopyError,
+    closeSharedCopy
+  }
+}
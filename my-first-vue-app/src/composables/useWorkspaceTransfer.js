@@ -0,0 +1,122 @@
+import { ref, computed } from 'vue'
+import { useProgressStore } from '../stores/progress'
+import { getAllSavedSnippets, saveSnippet } from './useCodePersistence'
+import {
+  createWorkspaceFile,
+  findWorkspaceFileProblems,
+  readWorkspaceFile,
+  planWorkspaceImport,
+  resolveWorkspaceImport
+} from '../storage/workspaceFile'
+
+/**
+ * Composable for taking a workspace to another browser
+ *
+ * exportWorkspace() downloads everything saved as one file. Importing one
+ * is two steps: previewImport() checks the file and compares it with what
+ * is saved here, the learner picks a version for each conflicting key in
+ * `choices`, and applyImport() writes the result.
+ */
+export function useWorkspaceTransfer() {
+  const progress = useProgressStore()
+
+  // { fileName, exportedAt, plan, lastLocation } of the file being imported
+  const pendingImport = ref(null)
+  // Entry id -> 'mine' or 'theirs', for the conflicting entries of the plan
+  const choices = ref({})
+  // What is wrong with the file last picked, if anything
+  const importProblems = ref([])
+
+  const currentWorkspace = () => ({
+    code: Object.fromEntries(getAllSavedSnippets().map(({ key, code }) => [key, code])),
+    progress: {
+      chapters: progress.chapters,
+      challenges: progress.challenges,
+      lastLocation: progress.lastLocation
+    }
+  })
+
+  /**
+   * Download everything saved as one JSON file
+   */
+  const exportWorkspace = () => {
+    const file = createWorkspaceFile(currentWorkspace())
+    const json = `${JSON.stringify(file, null, 2)}\n`
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `threejs-workspace-${file.exportedAt.slice(0, 10)}.json`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  /**
+   * Check a workspace file and plan its import; nothing is written yet
+   * @param {File} file
+   */
+  const previewImport = async (file) => {
+    pendingImport.value = null
+    importProblems.value = []
+
+    let data
+    try {
+      data = await readWorkspaceFile(file)
+    } catch (error) {
+      importProblems.value = [error.message]
+      return
+    }
+    const problems = findWorkspaceFileProblems(data)
+    if (problems.length > 0) {
+      importProblems.value = problems
+      return
+    }
+
+    const plan = planWorkspaceImport(data, currentWorkspace())
+    choices.value = Object.fromEntries(
+      plan.filter((entry) => entry.status === 'conflict').map((entry) => [entry.id, 'mine'])
+    )
+    pendingImport.value = {
+      fileName: file.name,
+      exportedAt: data.exportedAt,
+      plan,
+      lastLocation: data.progress.lastLocation || null
+    }
+  }
+
+  // How many entries the import would write
+  const changeCount = computed(() => {
+    if (!pendingImport.value) return 0
+    return pendingImport.value.plan.filter((entry) => {
+      return entry.status === 'new' || choices.value[entry.id] === 'theirs'
+    }).length
+  })
+
+  /**
+   * Write the new entries of the pending import and the conflicting ones
+   * where the file's version was chosen
+   */
+  const applyImport = () => {
+    if (!pendingImport.value) return
+    const { plan, lastLocation } = pendingImport.value
+    const changes = resolveWorkspaceImport(plan, choices.value, lastLocation)
+    Object.entries(changes.code).forEach(([key, code]) => saveSnippet(key, code))
+    progress.importRecords(changes)
+    pendingImport.value = null
+  }
+
+  const cancelImport = () => {
+    pendingImport.value = null
+    importProblems.value = []
+  }
+
+  return {
+    pendingImport,
+    choices,
+    importProblems,
+    changeCount,
+    exportWorkspace,
+    previewImport,
+    applyImport,
+    cancelImport
+  }
+}
@@ -5,10 +5,12 @@ import { createPinia } from 'pinia'
 
 import App from './App.vue'
 import router from './router'
+import { initCodeStorage } from './storage/codeStorage'
 
 const app = createApp(App)
 
 app.use(createPinia())
 app.use(router)
 
-app.mount('#app')
+// Saved code is read synchronously once the app runs, so load it first
+initCodeStorage().finally(() => app.mount('#app'))
@@ -74,6 +74,11 @@ const router = createRouter({
       name: 'chapter-13',
       component: () => import('../views/Chapter13.vue'),
     },
+    {
+      path: '/authoring',
+      name: 'authoring',
+      component: () => import('../views/AuthoringView.vue'),
+    },
   ],
 })
 
@@ -0,0 +1,170 @@
+/**
+ * three.js modules that user code may import
+ *
+ * `import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js'` in the
+ * editor resolves against this allowlist. Each addon is its own lazily
+ * loaded chunk sharing the runtime's copy of three, so objects it creates
+ * work with the sandbox's scene and renderer. The older
+ * `three/examples/jsm/...` spelling and specifiers without `.js` work too.
+ */
+
+const ADDON_PREFIX = 'three/addons/'
+const LEGACY_PREFIX = 'three/examples/jsm/'
+
+const ADDONS = {
+  'animation/AnimationClipCreator.js': () => import('three/examples/jsm/animation/AnimationClipCreator.js'),
+  'animation/CCDIKSolver.js': () => import('three/examples/jsm/animation/CCDIKSolver.js'),
+
+  'controls/ArcballControls.js': () => import('three/examples/jsm/controls/ArcballControls.js'),
+  'controls/DragControls.js': () => import('three/examples/jsm/controls/DragControls.js'),
+  'controls/FirstPersonControls.js': () => import('three/examples/jsm/controls/FirstPersonControls.js'),
+  'controls/FlyControls.js': () => import('three/examples/jsm/controls/FlyControls.js'),
+  'controls/MapControls.js': () => import('three/examples/jsm/controls/MapControls.js'),
+  'controls/OrbitControls.js': () => import('three/examples/jsm/controls/OrbitControls.js'),
+  'controls/PointerLockControls.js': () => import('three/examples/jsm/controls/PointerLockControls.js'),
+  'controls/TrackballControls.js': () => import('three/examples/jsm/controls/TrackballControls.js'),
+  'controls/TransformControls.js': () => import('three/examples/jsm/controls/TransformControls.js'),
+
+  'environments/RoomEnvironment.js': () => import('three/examples/jsm/environments/RoomEnvironment.js'),
+
+  'geometries/BoxLineGeometry.js': () => import('three/examples/jsm/geometries/BoxLineGeometry.js'),
+  'geometries/ConvexGeometry.js': () => import('three/examples/jsm/geometries/ConvexGeometry.js'),
+  'geometries/DecalGeometry.js': () => import('three/examples/jsm/geometries/DecalGeometry.js'),
+  'geometries/ParametricFunctions.js': () => import('three/examples/jsm/geometries/ParametricFunctions.js'),
+  'geometries/ParametricGeometry.js': () => import('three/examples/jsm/geometries/ParametricGeometry.js'),
+  'geometries/RoundedBoxGeometry.js': () => import('three/examples/jsm/geometries/RoundedBoxGeometry.js'),
+  'geometries/TeapotGeometry.js': () => import('three/examples/jsm/geometries/TeapotGeometry.js'),
+  'geometries/TextGeometry.js': () => import('three/examples/jsm/geometries/TextGeometry.js'),
+
+  'helpers/RectAreaLightHelper.js': () => import('three/examples/jsm/helpers/RectAreaLightHelper.js'),
+  'helpers/VertexNormalsHelper.js': () => import('three/examples/jsm/helpers/VertexNormalsHelper.js'),
+  'helpers/VertexTangentsHelper.js': () => import('three/examples/jsm/helpers/VertexTangentsHelper.js'),
+  'helpers/ViewHelper.js': () => import('three/examples/jsm/helpers/ViewHelper.js'),
+
+  'lights/RectAreaLightUniformsLib.js': () => import('three/examples/jsm/lights/RectAreaLightUniformsLib.js'),
+
+  'loaders/EXRLoader.js': () => import('three/examples/jsm/loaders/EXRLoader.js'),
+  'loaders/FBXLoader.js': () => import('three/examples/jsm/loaders/FBXLoader.js'),
+  'loaders/FontLoader.js': () => import('three/examples/jsm/loaders/FontLoader.js'),
+  'loaders/GLTFLoader.js': () => import('three/examples/jsm/loaders/GLTFLoader.js'),
+  'loaders/HDRLoader.js': () => import('three/examples/jsm/loaders/HDRLoader.js'),
+  'loaders/MTLLoader.js': () => import('three/examples/jsm/loaders/MTLLoader.js'),
+  'loaders/OBJLoader.js': () => import('three/examples/jsm/loaders/OBJLoader.js'),
+  'loaders/PLYLoader.js': () => import('three/examples/jsm/loaders/PLYLoader.js'),
+  'loaders/RGBELoader.js': () => import('three/examples/jsm/loaders/RGBELoader.js'),
+  'loaders/STLLoader.js': () => import('three/examples/jsm/loaders/STLLoader.js'),
+  'loaders/SVGLoader.js': () => import('three/examples/jsm/loaders/SVGLoader.js'),
+  'loaders/TTFLoader.js': () => import('three/examples/jsm/loaders/TTFLoader.js'),
+
+  'math/ConvexHull.js': () => import('three/examples/jsm/math/ConvexHull.js'),
+  'math/ImprovedNoise.js': () => import('three/examples/jsm/math/ImprovedNoise.js'),
+  'math/MeshSurfaceSampler.js': () => import('three/examples/jsm/math/MeshSurfaceSampler.js'),
+  'math/SimplexNoise.js': () => import('three/examples/jsm/math/SimplexNoise.js'),
+
+  'objects/Lensflare.js': () => import('three/examples/jsm/objects/Lensflare.js'),
+  'objects/MarchingCubes.js': () => import('three/examples/jsm/objects/MarchingCubes.js'),
+  'objects/Reflector.js': () => import('three/examples/jsm/objects/Reflector.js'),
+  'objects/Refractor.js': () => import('three/examples/jsm/objects/Refractor.js'),
+  'objects/Sky.js': () => import('three/examples/jsm/objects/Sky.js'),
+  'objects/Water.js': () => import('three/examples/jsm/objects/Water.js'),
+
+  'postprocessing/AfterimagePass.js': () => import('three/examples/jsm/postprocessing/AfterimagePass.js'),
+  'postprocessing/BloomPass.js': () => import('three/examples/jsm/postprocessing/BloomPass.js'),
+  'postprocessing/BokehPass.js': () => import('three/examples/jsm/postprocessing/BokehPass.js'),
+  'postprocessing/DotScreenPass.js': () => import('three/examples/jsm/postprocessing/DotScreenPass.js'),
+  'postprocessing/EffectComposer.js': () => import('three/examples/jsm/postprocessing/EffectComposer.js'),
+  'postprocessing/FilmPass.js': () => import('three/examples/jsm/postprocessing/FilmPass.js'),
+  'postprocessing/FXAAPass.js': () => import('three/examples/jsm/postprocessing/FXAAPass.js'),
+  'postprocessing/GlitchPass.js': () => import('three/examples/jsm/postprocessing/GlitchPass.js'),
+  'postprocessing/HalftonePass.js': () => import('three/examples/jsm/postprocessing/HalftonePass.js'),
+  'postprocessing/OutlinePass.js': () => import('three/examples/jsm/postprocessing/OutlinePass.js'),
+  'postprocessing/OutputPass.js': () => import('three/examples/jsm/postprocessing/OutputPass.js'),
+  'postprocessing/Pass.js': () => import('three/examples/jsm/postprocessing/Pass.js'),
+  'postprocessing/RenderPass.js': () => import('three/examples/jsm/postprocessing/RenderPass.js'),
+  'postprocessing/RenderPixelatedPass.js': () => import('three/examples/jsm/postprocessing/RenderPixelatedPass.js'),
+  'postprocessing/ShaderPass.js': () => import('three/examples/jsm/postprocessing/ShaderPass.js'),
+  'postprocessing/SMAAPass.js': () => import('three/examples/jsm/postprocessing/SMAAPass.js'),
+  'postprocessing/SSAOPass.js': () => import('three/examples/jsm/postprocessing/SSAOPass.js'),
+  'postprocessing/UnrealBloomPass.js': () => import('three/examples/jsm/postprocessing/UnrealBloomPass.js'),
+
+  'shaders/CopyShader.js': () => import('three/examples/jsm/shaders/CopyShader.js'),
+  'shaders/DotScreenShader.js': () => import('three/examples/jsm/shaders/DotScreenShader.js'),
+  'shaders/FXAAShader.js': () => import('three/examples/jsm/shaders/FXAAShader.js'),
+  'shaders/GammaCorrectionShader.js': () => import('three/examples/jsm/shaders/GammaCorrectionShader.js'),
+  'shaders/LuminosityShader.js': () => import('three/examples/jsm/shaders/LuminosityShader.js'),
+  'shaders/RGBShiftShader.js': () => import('three/examples/jsm/shaders/RGBShiftShader.js'),
+  'shaders/SepiaShader.js': () => import('three/examples/jsm/shaders/SepiaShader.js'),
+  'shaders/SobelOperatorShader.js': () => import('three/examples/jsm/shaders/SobelOperatorShader.js'),
+  'shaders/VignetteShader.js': () => import('three/examples/jsm/shaders/VignetteShader.js'),
+
+  'utils/BufferGeometryUtils.js': () => import('three/examples/jsm/utils/BufferGeometryUtils.js'),
+  'utils/GeometryUtils.js': () => import('three/examples/jsm/utils/GeometryUtils.js'),
+  'utils/SceneUtils.js': () => import('three/examples/jsm/utils/SceneUtils.js'),
+  'utils/SkeletonUtils.js': () => import('three/examples/jsm/utils/SkeletonUtils.js')
+}
+
+/**
+ * Paths (relative to three/addons/) of every importable addon
+ */
+export const ADDON_PATHS = Object.keys(ADDONS)
+
+/**
+ * Normalize an import specifier to the form user code is rewritten to
+ * @returns {string|null} `'three'`, `'three/addons/<path>.js'`, or null if
+ *   the module is not allowed
+ */
+export const resolveAddon = (specifier) => {
+  if (specifier === 'three') return 'three'
+
+  let path = null
+  if (specifier.startsWith(ADDON_PREFIX)) {
+    path = specifier.slice(ADDON_PREFIX.length)
+  } else if (specifier.startsWith(LEGACY_PREFIX)) {
+    path = specifier.slice(LEGACY_PREFIX.length)
+  }
+  if (path === null) return null
+
+  if (!path.endsWith('.js')) path += '.js'
+  return ADDONS[path] ? ADDON_PREFIX + path : null
+}
+
+/**
+ * Load the modules for a list of resolved specifiers
+ * @param {string[]} specifiers - Results of resolveAddon()
+ * @returns {Promise<object>} Module namespaces by specifier
+ */
+export async function loadAddons(specifiers) {
+  const entries = await Promise.all(
+    specifiers.map(async (specifier) => {
+      const load =
+        specifier === 'three'
+          ? () => import('three')
+          : ADDONS[specifier.slice(ADDON_PREFIX.length)]
+      return [specifier, await load()]
+    })
+  )
+  return Object.fromEntries(entries)
+}
+
+/**
+ * The function instrumented user code reads its imports through
+ *
+ * Checks named imports the way a real module link would, with the
+ * position of the import statement so the error points at it.
+ * @param {object} modules - Result of loadAddons()
+ */
+export const createImportFunction = (modules) => {
+  return (specifier, names, line, column) => {
+    const module = modules[specifier]
+    const missing = names.find((name) => !(name in module))
+    if (missing !== undefined) {
+      const error = new SyntaxError(
+        `The module '${specifier}' does not provide an export named '${missing}'`
+      )
+      error.line = line
+      error.column = column
+      throw error
+    }
+    return module
+  }
+}
@@ -0,0 +1,248 @@
+/**
+ * Bookkeeping for everything one run of user code leaves behind
+ *
+ * Each run gets its own scope. While user code (or a callback it
+ * registered) is running, the scope records every animation frame, timer,
+ * event listener and onFrame callback it creates. Disposing the scope
+ * cancels all of them at once, so re-running code never stacks a second
+ * animation loop on top of the first.
+ */
+
+/**
+ * Native timer functions the scope schedules with
+ * @typedef {object} NativeTimers
+ * @property {Function} requestAnimationFrame
+ * @property {Function} cancelAnimationFrame
+ * @property {Function} setTimeout
+ * @property {Function} clearTimeout
+ * @property {Function} setInterval
+ * @property {Function} clearInterval
+ */
+
+const captureOf = (options) => {
+  return typeof options === 'boolean' ? options : !!(options && options.capture)
+}
+
+/**
+ * @param {object} options
+ * @param {NativeTimers} options.timers - Timer functions of the host realm
+ * @param {object} options.loopGuard - Guard from createLoopGuard()
+ * @param {(error: Error) => void} options.onError - Receives errors thrown by onFrame callbacks
+ */
+export function createExecutionScope({ timers, loopGuard, onError }) {
+  const animationFrames = new Set()
+  const timeouts = new Set()
+  const intervals = new Set()
+  const listeners = []
+  const frameCallbacks = new Set()
+  let renderCallback = null
+
+  let capturingDepth = 0
+  let disposed = false
+
+  /**
+   * Run a function with registrations attributed to this scope
+   */
+  const run = (fn, thisArg = null, args = []) => {
+    capturingDepth++
+    try {
+      return fn.apply(thisArg, args)
+    } finally {
+      capturingDepth--
+    }
+  }
+
+  /**
+   * Wrap a user callback: skip it once disposed, give it a fresh loop
+   * budget and keep tracking what it registers
+   */
+  const wrap = (callback) => {
+    return function (...args) {
+      if (disposed) return undefined
+      loopGuard.beginTask()
+      return run(callback, this, args)
+    }
+  }
+
+  const requestAnimationFrame = (callback) => {
+    const wrapped = wrap(callback)
+    const id = timers.requestAnimationFrame((time) => {
+      animationFrames.delete(id)
+      wrapped(time)
+    })
+    animationFrames.add(id)
+    return id
+  }
+
+  const cancelAnimationFrame = (id) => {
+    animationFrames.delete(id)
+    timers.cancelAnimationFrame(id)
+  }
+
+  const setTimeout = (callback, delay, ...args) => {
+    if (typeof callback !== 'function') {
+      return timers.setTimeout(callback, delay, ...args)
+    }
+    const wrapped = wrap(callback)
+    const id = timers.setTimeout(() => {
+      timeouts.delete(id)
+      wrapped(...args)
+    }, delay)
+    timeouts.add(id)
+    return id
+  }
+
+  const clearTimeout = (id) => {
+    timeouts.delete(id)
+    timers.clearTimeout(id)
+  }
+
+  const setInterval = (callback, delay, ...args) => {
+    if (typeof callback !== 'function') {
+      return timers.setInterval(callback, delay, ...args)
+    }
+    const wrapped = wrap(callback)
+    const id = timers.setInterval(() => wrapped(...args), delay)
+    intervals.add(id)
+    return id
+  }
+
+  const clearInterval = (id) => {
+    intervals.delete(id)
+    timers.clearInterval(id)
+  }
+
+  /**
+   * Record a listener registration and forward it to the real target
+   * @param {{ add: Function, remove: Function }} native - Unpatched add/remove methods for the target
+   */
+  const addListener = (target, type, listener, options, native) => {
+    const wrapped = typeof listener === 'function' ? wrap(listener) : listener
+    listeners.push({ target, type, listener, wrapped, options, capture: captureOf(options), native })
+    return native.add.call(target, type, wrapped, options)
+  }
+
+  /**
+   * Remove a listener this scope registered
+   * @returns {boolean} false if the listener was not registered through the scope
+   */
+  const removeListener = (target, type, listener, options) => {
+    const capture = captureOf(options)
+    const index = listeners.findIndex(
+      (entry) =>
+        entry.target === target &&
+        entry.type === type &&
+        entry.listener === listener &&
+        entry.capture === capture
+    )
+    if (index === -1) return false
+
+    const [entry] = listeners.splice(index, 1)
+    entry.native.remove.call(target, type, entry.wrapped, options)
+    return true
+  }
+
+  /**
+   * Register a callback for the runtime's frame loop
+   * @param {(dt: number, elapsed: number) => void} callback - Seconds since last frame, seconds since the run started
+   * @returns {() => void} Unsubscribe function
+   */
+  const onFrame = (callback) => {
+    if (typeof callback !== 'function') {
+      throw new TypeError('onFrame expects a function')
+    }
+    frameCallbacks.add(callback)
+    return () => frameCallbacks.delete(callback)
+  }
+
+  /**
+   * Call every onFrame callback once; called by the runtime's frame loop
+   */
+  const tick = (dt, elapsed) => {
+    if (disposed) return
+
+    for (const callback of frameCallbacks) {
+      loopGuard.beginTask()
+      try {
+        run(callback, null, [dt, elapsed])
+      } catch (error) {
+        // A broken callback would fail again every frame; report it once
+        frameCallbacks.delete(callback)
+        onError(error)
+      }
+    }
+  }
+
+  /**
+   * Replace the runtime's `renderer.render(scene, camera)`, e.g. with
+   * `() => composer.render()` for postprocessing
+   * @param {(() => void) | null} callback - null restores the default
+   */
+  const renderWith = (callback) => {
+    if (callback !== null && typeof callback !== 'function') {
+      throw new TypeError('renderWith expects a function or null')
+    }
+    renderCallback = callback
+  }
+
+  /**
+   * Draw the frame; called by the runtime's frame loop after tick()
+   * @param {() => void} defaultRender - Used unless the run set its own
+   */
+  const render = (defaultRender) => {
+    if (disposed || !renderCallback) {
+      defaultRender()
+      return
+    }
+
+    loopGuard.beginTask()
+    try {
+      run(renderCallback)
+    } catch (error) {
+      // Same as onFrame: report once and fall back to the default
+      renderCallback = null
+      onError(error)
+      defaultRender()
+    }
+  }
+
+  /**
+   * Cancel every frame, timer and listener registered by this run
+   */
+  const dispose = () => {
+    if (disposed) return
+    disposed = true
+
+    animationFrames.forEach((id) => timers.cancelAnimationFrame(id))
+    timeouts.forEach((id) => timers.clearTimeout(id))
+    intervals.forEach((id) => timers.clearInterval(id))
+    listeners.forEach((entry) => {
+      entry.native.remove.call(entry.target, entry.type, entry.wrapped, entry.options)
+    })
+
+    animationFrames.clear()
+    timeouts.clear()
+    intervals.clear()
+    listeners.length = 0
+    frameCallbacks.clear()
+    renderCallback = null
+  }
+
+  return {
+    run,
+    tick,
+    render,
+    dispose,
+    onFrame,
+    renderWith,
+    requestAnimationFrame,
+    cancelAnimationFrame,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    addListener,
+    removeListener,
+    isCapturing: () => capturingDepth > 0 && !disposed
+  }
+}
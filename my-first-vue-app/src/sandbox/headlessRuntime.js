@@ -0,0 +1,243 @@
+import * as THREE from 'three'
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
+import { loadAddons } from './addons'
+import { createLoopGuard } from './loopGuard'
+import { createExecutionScope } from './executionScope'
+import { createUserConsole } from './userConsole'
+import { createViewKeeper } from './viewKeeper'
+import {
+  createUserContext,
+  runUserCode,
+  runOnVirtualClock,
+  serializeUserError
+} from './runOnClock'
+import {
+  createStage,
+  resetStageScene,
+  disposeScene,
+  sampleTransforms,
+  readRendererState,
+  applyRendererState,
+  snapshotScene
+} from './stage'
+import { MessageType, serializeError } from './protocol'
+
+/**
+ * Headless sandbox runtime
+ *
+ * Answers the requests of the sandbox iframe (see ./runtime.js) without a
+ * browser, so challenges can be checked from Node: the code runs against a
+ * real THREE.Scene, but the renderer is a stub that draws nothing and the
+ * canvas is a bare event target. Runs go through the same pipeline as the
+ * iframe's (see ./runOnClock.js): EXECUTE runs on Node's timers, SIMULATE
+ * on the virtual clock.
+ *
+ * createHeadlessSandbox() returns a bridge with the request() and reload()
+ * of useSandbox(), so useCodeExecution() can drive it like the iframe.
+ */
+
+const VIEW_WIDTH = 800
+const VIEW_HEIGHT = 600
+
+/**
+ * Enough of a canvas for code that listens to it or measures it
+ */
+function createStubCanvas() {
+  const canvas = new EventTarget()
+  return Object.assign(canvas, {
+    width: VIEW_WIDTH,
+    height: VIEW_HEIGHT,
+    clientWidth: VIEW_WIDTH,
+    clientHeight: VIEW_HEIGHT,
+    style: {},
+    getBoundingClientRect: () => ({
+      x: 0,
+      y: 0,
+      left: 0,
+      top: 0,
+      right: VIEW_WIDTH,
+      bottom: VIEW_HEIGHT,
+      width: VIEW_WIDTH,
+      height: VIEW_HEIGHT
+    }),
+    // OrbitControls listens for keys on the canvas's document
+    getRootNode: () => canvas,
+    setPointerCapture: () => {},
+    releasePointerCapture: () => {},
+    hasPointerCapture: () => false,
+    focus: () => {}
+  })
+}
+
+/**
+ * A renderer with WebGLRenderer's settings and defaults whose drawing
+ * calls do nothing
+ */
+function createStubRenderer(canvas) {
+  return {
+    domElement: canvas,
+    shadowMap: { enabled: false, type: THREE.PCFShadowMap, autoUpdate: true, needsUpdate: false },
+    toneMapping: THREE.NoToneMapping,
+    toneMappingExposure: 1,
+    outputColorSpace: THREE.SRGBColorSpace,
+    render: () => {},
+    compile: () => {},
+    clear: () => {},
+    setSize: () => {},
+    setPixelRatio: () => {},
+    getPixelRatio: () => 1,
+    getSize: (target) => target.set(VIEW_WIDTH, VIEW_HEIGHT),
+    setClearColor: () => {},
+    setAnimationLoop: () => {},
+    dispose: () => {}
+  }
+}
+
+// Node's timers, in the shape of NativeTimers (see ./executionScope.js);
+// there is no display to sync frames to, so they come every 1/60 s
+const nodeTimers = {
+  requestAnimationFrame: (callback) => setTimeout(() => callback(performance.now()), 1000 / 60),
+  cancelAnimationFrame: (id) => clearTimeout(id),
+  setTimeout: (callback, delay, ...args) => setTimeout(callback, delay, ...args),
+  clearTimeout: (id) => clearTimeout(id),
+  setInterval: (callback, delay, ...args) => setInterval(callback, delay, ...args),
+  clearInterval: (id) => clearInterval(id)
+}
+
+/**
+ * @param {object} [options]
+ * @param {(entry: object) => void} [options.onConsole] - Receives what the
+ *   code logs, in the console panel's format
+ * @param {(error: Error) => void} [options.onRuntimeError] - Receives errors
+ *   thrown after an EXECUTE returned, e.g. by a timer the code set
+ */
+export function createHeadlessSandbox({ onConsole = () => {}, onRuntimeError = () => {} } = {}) {
+  const canvas = createStubCanvas()
+  const renderer = createStubRenderer(canvas)
+  const defaultRendererState = readRendererState(renderer)
+  // Budgets are measured in real time, even while performance.now() follows the virtual clock
+  const loopGuard = createLoopGuard(performance.now.bind(performance))
+
+  const { scene, camera } = createStage(VIEW_WIDTH / VIEW_HEIGHT)
+  const controls = new OrbitControls(camera, canvas)
+  const viewKeeper = createViewKeeper(camera, controls)
+
+  // Scope of the current run of user code
+  let activeScope = null
+
+  const createContext = (scope, modules, stage) => {
+    return createUserContext({
+      scope,
+      stage,
+      renderer,
+      controls,
+      loopGuard,
+      modules,
+      console: createUserConsole(onConsole, () => {})
+    })
+  }
+
+  const virtualClockHost = {
+    renderer,
+    defaultRendererState,
+    loopGuard,
+    aspect: VIEW_WIDTH / VIEW_HEIGHT,
+    createContext
+  }
+
+  const createSnapshot = (target = scene, targetCamera = camera) => {
+    return snapshotScene(target, targetCamera, renderer)
+  }
+
+  /**
+   * Stop the last run and bring the scene and the renderer settings back
+   * to the state a fresh run starts from
+   */
+  const reset = () => {
+    if (activeScope) {
+      activeScope.dispose()
+      activeScope = null
+    }
+    disposeScene(scene)
+    scene.clear()
+    resetStageScene(scene)
+    applyRendererState(renderer, defaultRendererState)
+  }
+
+  const execute = (code, modules) => {
+    reset()
+    viewKeeper.resetCamera()
+
+    const scope = createExecutionScope({
+      timers: nodeTimers,
+      loopGuard,
+      onError: onRuntimeError
+    })
+    activeScope = scope
+    const context = createContext(scope, modules, { scene, camera })
+
+    try {
+      runUserCode(code, { scope, context, loopGuard })
+    } catch (error) {
+      reset()
+      return { success: false, error: serializeUserError(error), snapshot: null }
+    }
+    return { success: true, error: null, snapshot: createSnapshot() }
+  }
+
+  const simulate = (code, modules, options) => {
+    const samples = []
+    return runOnVirtualClock(virtualClockHost, code, modules, options, {
+      afterFrame: (target, time) => samples.push({ time, objects: sampleTransforms(target) }),
+      finish: (stage) => ({
+        snapshot: createSnapshot(stage.scene, stage.camera),
+        fps: options.fps,
+        samples
+      })
+    })
+  }
+
+  const handlers = {
+    [MessageType.EXECUTE]: async ({ code, imports = [] }) => {
+      try {
+        return execute(code, await loadAddons(imports))
+      } catch (error) {
+        return { success: false, error: serializeUserError(error), snapshot: null }
+      }
+    },
+    [MessageType.SIMULATE]: async ({ code, imports = [], frames, fps, seed }) => {
+      try {
+        return simulate(code, await loadAddons(imports), { frames, fps, seed })
+      } catch (error) {
+        return { success: false, error: serializeUserError(error), result: null }
+      }
+    },
+    [MessageType.RENDER_IMAGE]: async () => ({
+      success: false,
+      error: serializeError(new Error('Rendering needs a browser; see npm run verify:images')),
+      result: null
+    }),
+    [MessageType.SNAPSHOT]: () => createSnapshot(),
+    [MessageType.RESET]: () => {
+      reset()
+      return createSnapshot()
+    }
+  }
+
+  /**
+   * Answer a request the way the iframe would
+   * @param {string} type - One of MessageType
+   * @param {object} [payload]
+   */
+  const request = async (type, payload = {}) => {
+    const handler = handlers[type]
+    if (!handler) throw new Error(`The headless sandbox cannot answer ${type}`)
+    return handler(payload || {})
+  }
+
+  return {
+    request,
+    // Stops the timers of the last run, so Node can exit
+    reload: reset
+  }
+}
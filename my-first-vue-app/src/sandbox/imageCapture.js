@@ -0,0 +1,69 @@
+import * as THREE from 'three'
+
+/**
+ * Offscreen renders for image-based challenge checks
+ *
+ * The scene is drawn from a fixed viewpoint into a render target and read
+ * back as RGBA pixels, top row first. three.js leaves render targets in
+ * linear color and skips tone mapping for them, so the pixels are encoded
+ * to sRGB here to look like the preview; tone mapping is not applied.
+ */
+
+/**
+ * Where the camera looks from unless a check says otherwise
+ * @type {{ position: number[], target: number[], fov: number }}
+ */
+export const DEFAULT_VIEW = { position: [0, 2, 6], target: [0, 0, 0], fov: 50 }
+
+const linearToSrgb = (value) => {
+  return value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055
+}
+
+// Linear 0-255 channel values to sRGB 0-255
+const SRGB_TABLE = Uint8ClampedArray.from({ length: 256 }, (_, index) => {
+  return Math.round(255 * linearToSrgb(index / 255))
+})
+
+/**
+ * Render a scene from a fixed viewpoint and read the pixels back
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {THREE.Scene} scene
+ * @param {object} options
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {{ position?: number[], target?: number[], fov?: number }} [options.view]
+ * @returns {{ width: number, height: number, pixels: Uint8ClampedArray }}
+ */
+export function captureImage(renderer, scene, { width, height, view = {} }) {
+  const { position, target, fov } = { ...DEFAULT_VIEW, ...view }
+
+  const camera = new THREE.PerspectiveCamera(fov, width / height, 0.1, 1000)
+  camera.position.fromArray(position)
+  camera.lookAt(new THREE.Vector3().fromArray(target))
+
+  const renderTarget = new THREE.WebGLRenderTarget(width, height, { samples: 4 })
+  const rows = new Uint8Array(width * height * 4)
+  const previousTarget = renderer.getRenderTarget()
+
+  try {
+    renderer.setRenderTarget(renderTarget)
+    renderer.render(scene, camera)
+    renderer.readRenderTargetPixels(renderTarget, 0, 0, width, height, rows)
+  } finally {
+    renderer.setRenderTarget(previousTarget)
+    renderTarget.dispose()
+  }
+
+  // WebGL reads bottom row first
+  const pixels = new Uint8ClampedArray(rows.length)
+  const rowLength = width * 4
+  for (let y = 0; y < height; y++) {
+    const from = (height - 1 - y) * rowLength
+    for (let x = 0; x < rowLength; x++) {
+      // Alpha stays as is
+      pixels[y * rowLength + x] = x % 4 === 3 ? rows[from + x] : SRGB_TABLE[rows[from + x]]
+    }
+  }
+
+  return { width, height, pixels }
+}
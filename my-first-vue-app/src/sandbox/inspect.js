@@ -0,0 +1,300 @@
+/**
+ * Turn arbitrary values from user code into plain, cloneable trees
+ *
+ * The console panel lives in the host page, so values logged in the
+ * sandbox have to be described before they cross postMessage. Each node
+ * has a one-line `preview` and, for objects, a bounded list of `entries`
+ * that the panel can expand. three.js objects get readable summaries and a
+ * curated set of properties instead of their hundreds of internal fields.
+ *
+ * Node shape: { type, preview, className?, entries?, more? }
+ */
+
+// How many levels of nested objects are included
+const MAX_DEPTH = 4
+// Properties/items listed per object before the rest is summarised as "more"
+const MAX_ENTRIES = 50
+const MAX_STRING_LENGTH = 2000
+
+// Material properties worth showing, when the material type has them
+const MATERIAL_KEYS = [
+  'color',
+  'emissive',
+  'metalness',
+  'roughness',
+  'opacity',
+  'transparent',
+  'wireframe',
+  'side',
+  'map'
+]
+
+export const formatNumber = (value) => {
+  if (!Number.isFinite(value) || Number.isInteger(value)) return String(value)
+  return String(Number(value.toFixed(3)))
+}
+
+const formatColor = (color) => `#${color.getHexString()}`
+
+const leaf = (type, preview) => ({ type, preview })
+
+/**
+ * Curated properties for three.js types, in display order
+ */
+const threeEntries = (value) => {
+  if (value.isVector2) return { x: value.x, y: value.y }
+  if (value.isVector3) return { x: value.x, y: value.y, z: value.z }
+  if (value.isVector4 || value.isQuaternion) return { x: value.x, y: value.y, z: value.z, w: value.w }
+  if (value.isEuler) return { x: value.x, y: value.y, z: value.z, order: value.order }
+  if (value.isColor) return { r: value.r, g: value.g, b: value.b, hex: formatColor(value) }
+  if (value.isMatrix3 || value.isMatrix4) return { elements: Array.from(value.elements) }
+
+  if (value.isBufferGeometry) {
+    const position = value.attributes.position
+    return {
+      uuid: value.uuid,
+      parameters: value.parameters,
+      vertices: position ? position.count : 0,
+      indexed: !!value.index
+    }
+  }
+
+  if (value.isMaterial) {
+    const entries = { uuid: value.uuid, name: value.name }
+    MATERIAL_KEYS.filter((key) => value[key] !== undefined).forEach((key) => {
+      entries[key] = value[key]
+    })
+    return entries
+  }
+
+  if (value.isTexture) {
+    return { uuid: value.uuid, name: value.name, image: value.image, wrapS: value.wrapS, wrapT: value.wrapT }
+  }
+
+  if (value.isObject3D) {
+    const entries = {
+      type: value.type,
+      name: value.name,
+      uuid: value.uuid,
+      visible: value.visible,
+      position: value.position,
+      rotation: value.rotation,
+      scale: value.scale
+    }
+    if (value.geometry) entries.geometry = value.geometry
+    if (value.material) entries.material = value.material
+    if (value.isLight) {
+      entries.color = value.color
+      entries.intensity = value.intensity
+      entries.castShadow = value.castShadow
+    }
+    if (value.isPerspectiveCamera) {
+      entries.fov = value.fov
+      entries.aspect = value.aspect
+      entries.near = value.near
+      entries.far = value.far
+    }
+    entries.children = value.children
+    return entries
+  }
+
+  return null
+}
+
+/**
+ * One-line description of a three.js value, or null for anything else
+ */
+export const describeThree = (value) => {
+  if (value.isVector2) return `Vector2(${formatNumber(value.x)}, ${formatNumber(value.y)})`
+  if (value.isVector3) {
+    return `Vector3(${formatNumber(value.x)}, ${formatNumber(value.y)}, ${formatNumber(value.z)})`
+  }
+  if (value.isVector4) {
+    return `Vector4(${[value.x, value.y, value.z, value.w].map(formatNumber).join(', ')})`
+  }
+  if (value.isQuaternion) {
+    return `Quaternion(${[value.x, value.y, value.z, value.w].map(formatNumber).join(', ')})`
+  }
+  if (value.isEuler) {
+    return `Euler(${[value.x, value.y, value.z].map(formatNumber).join(', ')}, '${value.order}')`
+  }
+  if (value.isColor) return `Color(${formatColor(value)})`
+  if (value.isMatrix3) return 'Matrix3'
+  if (value.isMatrix4) return 'Matrix4'
+
+  if (value.isBufferGeometry) {
+    const params = value.parameters
+      ? Object.entries(value.parameters)
+          .filter(([, param]) => typeof param === 'number')
+          .map(([key, param]) => `${key}: ${formatNumber(param)}`)
+          .join(', ')
+      : ''
+    return `${value.type}(${params})`
+  }
+
+  if (value.isMaterial) {
+    return value.color ? `${value.type}(color: ${formatColor(value.color)})` : value.type
+  }
+
+  if (value.isTexture) {
+    const image = value.image
+    return image && image.width ? `${value.type}(${image.width}×${image.height})` : value.type
+  }
+
+  if (value.isObject3D) {
+    const name = value.name ? ` "${value.name}"` : ''
+    const details = []
+    if (value.geometry) details.push(value.geometry.type)
+    if (value.material) {
+      details.push(Array.isArray(value.material) ? 'Material[]' : value.material.type)
+    }
+    if (value.isLight) details.push(`intensity ${formatNumber(value.intensity)}`)
+    if (value.children.length > 0) {
+      details.push(`${value.children.length} ${value.children.length === 1 ? 'child' : 'children'}`)
+    }
+    return `${value.type}${name}${details.length ? ` (${details.join(', ')})` : ''}`
+  }
+
+  return null
+}
+
+const isList = (value) => {
+  return Array.isArray(value) || (ArrayBuffer.isView(value) && !(value instanceof DataView))
+}
+
+const constructorName = (value) => {
+  const proto = Object.getPrototypeOf(value)
+  if (proto === null) return 'Object'
+  return (proto.constructor && proto.constructor.name) || 'Object'
+}
+
+const objectEntries = (source, depth, seen) => {
+  const keys = Object.keys(source)
+  const entries = keys.slice(0, MAX_ENTRIES).map((key) => ({
+    key,
+    value: inspectValue(source[key], depth + 1, seen)
+  }))
+  return { entries, more: Math.max(0, keys.length - MAX_ENTRIES) }
+}
+
+/**
+ * Describe a value for the console panel
+ * @param {*} value - Anything user code logged
+ * @returns {object} Cloneable description node
+ */
+export function inspectValue(value, depth = 0, seen = new WeakSet()) {
+  if (value === null) return leaf('null', 'null')
+
+  switch (typeof value) {
+    case 'undefined':
+      return leaf('undefined', 'undefined')
+    case 'string':
+      return leaf(
+        'string',
+        value.length > MAX_STRING_LENGTH ? `${value.slice(0, MAX_STRING_LENGTH)}…` : value
+      )
+    case 'number':
+      return leaf('number', formatNumber(value))
+    case 'boolean':
+      return leaf('boolean', String(value))
+    case 'bigint':
+      return leaf('bigint', `${value}n`)
+    case 'symbol':
+      return leaf('symbol', value.toString())
+    case 'function':
+      return leaf('function', `ƒ ${value.name || 'anonymous'}()`)
+  }
+
+  if (seen.has(value)) return leaf('circular', '[Circular]')
+
+  if (value instanceof Error) {
+    return { type: 'error', preview: `${value.name}: ${value.message}`, stack: value.stack || null }
+  }
+  if (value instanceof Date) return leaf('date', value.toISOString())
+  if (typeof Element !== 'undefined' && value instanceof Element) {
+    return leaf('element', `<${value.tagName.toLowerCase()}>`)
+  }
+
+  const threePreview = describeThree(value)
+  const className = threePreview ? value.type || constructorName(value) : constructorName(value)
+
+  let preview = threePreview
+  if (!preview) {
+    if (isList(value)) {
+      preview = `${className}(${value.length})`
+    } else if (value instanceof Map || value instanceof Set) {
+      preview = `${className}(${value.size})`
+    } else {
+      preview = className === 'Object' ? '{…}' : `${className} {…}`
+    }
+  }
+
+  const node = { type: threePreview ? 'three' : 'object', className, preview }
+  if (depth >= MAX_DEPTH) return node
+
+  seen.add(value)
+
+  if (threePreview) {
+    const curated = threeEntries(value)
+    if (curated) Object.assign(node, objectEntries(curated, depth, seen))
+  } else if (isList(value)) {
+    const items = Array.from(value.slice(0, MAX_ENTRIES))
+    node.entries = items.map((item, index) => ({
+      key: String(index),
+      value: inspectValue(item, depth + 1, seen)
+    }))
+    node.more = Math.max(0, value.length - MAX_ENTRIES)
+  } else if (value instanceof Map) {
+    node.entries = Array.from(value.entries())
+      .slice(0, MAX_ENTRIES)
+      .map(([key, item]) => ({
+        key: inspectValue(key, MAX_DEPTH, seen).preview,
+        value: inspectValue(item, depth + 1, seen)
+      }))
+    node.more = Math.max(0, value.size - MAX_ENTRIES)
+  } else if (value instanceof Set) {
+    node.entries = Array.from(value)
+      .slice(0, MAX_ENTRIES)
+      .map((item, index) => ({ key: String(index), value: inspectValue(item, depth + 1, seen) }))
+    node.more = Math.max(0, value.size - MAX_ENTRIES)
+  } else {
+    Object.assign(node, objectEntries(value, depth, seen))
+  }
+
+  seen.delete(value)
+  return node
+}
+
+/**
+ * Build the rows and columns for console.table()
+ */
+export function inspectTable(data, columns) {
+  if (data === null || typeof data !== 'object') return null
+
+  const rows = []
+  const columnSet = new Set()
+  let hasValueColumn = false
+
+  Object.keys(data)
+    .slice(0, MAX_ENTRIES)
+    .forEach((index) => {
+      const row = data[index]
+      const cells = {}
+      if (row !== null && typeof row === 'object' && !describeThree(row)) {
+        Object.keys(row).forEach((key) => {
+          if (columns && !columns.includes(key)) return
+          columnSet.add(key)
+          cells[key] = inspectValue(row[key], MAX_DEPTH).preview
+        })
+      } else {
+        hasValueColumn = true
+        cells.Value = inspectValue(row, MAX_DEPTH).preview
+      }
+      rows.push({ index, cells })
+    })
+
+  const tableColumns = columns ? columns.filter((column) => columnSet.has(column)) : [...columnSet]
+  if (hasValueColumn) tableColumns.push('Value')
+
+  return { columns: tableColumns, rows }
+}
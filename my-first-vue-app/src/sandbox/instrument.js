@@ -0,0 +1,417 @@
+import { parse } from 'acorn'
+import { resolveAddon } from './addons'
+
+/**
+ * Name under which the loop guard (see ./loopGuard.js) is passed to user code
+ */
+export const GUARD_NAME = '__loopGuard__'
+
+/**
+ * Name of the function that hands imported modules to user code, see
+ * createImportFunction() in ./addons.js
+ */
+export const IMPORTS_NAME = '__imports__'
+
+const LOOP_TYPES = new Set([
+  'WhileStatement',
+  'DoWhileStatement',
+  'ForStatement',
+  'ForInStatement',
+  'ForOfStatement'
+])
+
+const EXPORT_TYPES = new Set([
+  'ExportNamedDeclaration',
+  'ExportDefaultDeclaration',
+  'ExportAllDeclaration'
+])
+
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression'
+])
+
+/**
+ * Local name `export default` values are kept under, see instrumentCode()
+ */
+export const DEFAULT_EXPORT_NAME = '__default__'
+
+const MODULE_SYNTAX_MESSAGE = "'import' and 'export' may appear only with 'sourceType: module'"
+
+/**
+ * Parse user code the same way the sandbox will run it: as the body of a
+ * plain (non-strict, non-async) function
+ *
+ * Code with import statements is parsed as a module instead, which is how
+ * the student would run it outside the playground. Modules also accept a
+ * top-level `await`, which instrumentCode() then rejects.
+ */
+export const parseUserCode = (code) => {
+  const options = {
+    ecmaVersion: 'latest',
+    allowReturnOutsideFunction: true,
+    locations: true
+  }
+
+  try {
+    return parse(code, { ...options, sourceType: 'script' })
+  } catch (error) {
+    if (!error.message.startsWith(MODULE_SYNTAX_MESSAGE)) throw error
+    return parse(code, { ...options, sourceType: 'module' })
+  }
+}
+
+/**
+ * Visit every node of an ESTree AST
+ *
+ * `visit(node, ancestors)` also gets the nodes above, outermost first; the
+ * array is reused, so copy it to keep it past the call.
+ */
+export const walk = (node, visit, ancestors = []) => {
+  if (!node || typeof node.type !== 'string') return
+
+  visit(node, ancestors)
+
+  ancestors.push(node)
+  for (const key of Object.keys(node)) {
+    const value = node[key]
+    if (Array.isArray(value)) {
+      value.forEach((child) => walk(child, visit, ancestors))
+    } else if (value && typeof value.type === 'string') {
+      walk(value, visit, ancestors)
+    }
+  }
+  ancestors.pop()
+}
+
+/**
+ * Turn an acorn syntax error into the error shape used by the executor
+ */
+export const toSyntaxError = (error) => {
+  const syntaxError = new SyntaxError(error.message.replace(/\s*\(\d+:\d+\)$/, ''))
+  syntaxError.line = error.loc ? error.loc.line : null
+  syntaxError.column = error.loc ? error.loc.column + 1 : null
+  return syntaxError
+}
+
+/**
+ * Error for an import the playground cannot provide, located at `node`
+ */
+const importError = (node, message) => {
+  const error = new Error(message)
+  error.name = 'ImportError'
+  error.line = node.loc.start.line
+  error.column = node.loc.start.column + 1
+  return error
+}
+
+/**
+ * Error for an `await` outside any function, which only modules allow: the
+ * sandbox runs code as the body of a plain function, imports or not
+ */
+const topLevelAwaitError = (node) => {
+  const error = new SyntaxError(
+    "'await' is only allowed inside an async function here. Wrap the code in one, " +
+      'e.g. (async () => { ... })(), or use .then()'
+  )
+  error.line = node.loc.start.line
+  error.column = node.loc.start.column + 1
+  return error
+}
+
+/**
+ * Names a pattern such as `{ a, b: [c, ...d] }` declares
+ */
+const patternNames = (pattern) => {
+  switch (pattern.type) {
+    case 'Identifier':
+      return [pattern.name]
+    case 'ObjectPattern':
+      return pattern.properties.flatMap((item) => {
+        return patternNames(item.type === 'RestElement' ? item : item.value)
+      })
+    case 'ArrayPattern':
+      return pattern.elements.filter(Boolean).flatMap(patternNames)
+    case 'RestElement':
+      return patternNames(pattern.argument)
+    case 'AssignmentPattern':
+      return patternNames(pattern.left)
+    default:
+      return []
+  }
+}
+
+/**
+ * `var` declaration replacing one import statement
+ *
+ * Uses `var` because an import may reuse a name the sandbox passes in,
+ * e.g. `import * as THREE from 'three'`.
+ */
+const importBinding = (node, specifier, position) => {
+  const names = []
+  const properties = []
+  let namespace = null
+
+  node.specifiers.forEach((item) => {
+    if (item.type === 'ImportNamespaceSpecifier') {
+      namespace = item.local.name
+    } else if (item.type === 'ImportDefaultSpecifier') {
+      names.push('default')
+      properties.push(`default: ${item.local.name}`)
+    } else {
+      const imported = item.imported.name ?? item.imported.value
+      names.push(imported)
+      const key = item.imported.type === 'Literal' ? JSON.stringify(imported) : imported
+      properties.push(key === item.local.name ? key : `${key}: ${item.local.name}`)
+    }
+  })
+
+  const module = `${IMPORTS_NAME}('${specifier}', ${JSON.stringify(names)}, ${position})`
+
+  const declarations = []
+  if (namespace) declarations.push(`${namespace} = ${module}`)
+  if (properties.length > 0) declarations.push(`{ ${properties.join(', ')} } = ${module}`)
+
+  // Side-effect only imports (`import 'x'`) still load the module
+  return declarations.length > 0 ? `var ${declarations.join(', ')};` : `${module};`
+}
+
+/**
+ * Offsets at which each line of a text starts
+ */
+const lineStarts = (text) => {
+  const starts = [0]
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') starts.push(i + 1)
+  }
+  return starts
+}
+
+/**
+ * Line (1-based) containing an offset, by binary search over line starts
+ */
+const lineAt = (starts, offset) => {
+  let low = 0
+  let high = starts.length - 1
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2)
+    if (starts[middle] <= offset) {
+      low = middle
+    } else {
+      high = middle - 1
+    }
+  }
+  return low + 1
+}
+
+/**
+ * Build a mapper from positions in the instrumented code back to the source
+ *
+ * Positions inside an inserted check map to the source offset the check
+ * was inserted at.
+ */
+const createPositionMapper = (source, generated, insertions) => {
+  const sourceStarts = lineStarts(source)
+  const generatedStarts = lineStarts(generated)
+
+  return (line, column) => {
+    const lineIndex = Math.min(Math.max(line, 1), generatedStarts.length) - 1
+    const offset = generatedStarts[lineIndex] + Math.max(column, 1) - 1
+
+    let shift = 0
+    let sourceOffset = null
+    for (const insertion of insertions) {
+      const start = insertion.offset + shift
+      if (offset < start) break
+      if (offset < start + insertion.text.length) {
+        sourceOffset = insertion.offset
+        break
+      }
+      shift += insertion.text.length - insertion.remove
+    }
+    if (sourceOffset === null) sourceOffset = Math.min(offset - shift, source.length)
+
+    const sourceLine = lineAt(sourceStarts, sourceOffset)
+    return { line: sourceLine, column: sourceOffset - sourceStarts[sourceLine - 1] + 1 }
+  }
+}
+
+/**
+ * Add infinite-loop checks to user code and resolve its imports
+ *
+ * Every loop body gets `__loopGuard__.loop(line, column)` and every
+ * function body `__loopGuard__.call(line, column)`. Checks are inserted on
+ * the line they guard and never add line breaks, so line numbers in errors
+ * stay correct; `toSourcePosition` also undoes the column shift.
+ *
+ * Import statements are blanked out (keeping their line breaks) and turned
+ * into `var` declarations at the start of the first line, reading from the
+ * modules the sandbox loads before running the code.
+ *
+ * Files of a project (see ./project.js) may also export: `export` is
+ * dropped from declarations, `export { a as b }` is blanked out and
+ * `export default value` becomes `var __default__ = value` (named functions
+ * and classes stay declared and are assigned after); `exports` lists
+ * what the file exports, for the bundle to return.
+ *
+ * @param {string} code - Source code written by the user
+ * @param {object} [options]
+ * @param {(specifier: string) => string|null} [options.resolveImport] - Resolves
+ *   import specifiers; addons only by default
+ * @param {boolean} [options.allowExports] - Whether the code may export
+ * @param {number} [options.lineOffset] - Added to the line numbers the
+ *   inserted code passes at run time, e.g. the line a file starts on in a
+ *   bundle; errors thrown here are not shifted
+ * @returns {{ code: string, imports: string[], exports: { name: string, local: string }[], toSourcePosition: (line: number, column: number) => { line: number, column: number } }}
+ *   Instrumented code, the modules it imports (see resolveAddon()), what it
+ *   exports and a mapper from its positions (1-based) to the source
+ * @throws {SyntaxError} With `line` and `column` when the code does not parse,
+ *   or uses `await` outside a function
+ * @throws {Error} Named ImportError, with `line` and `column`, for modules
+ *   that are not available and for unsupported import or export syntax
+ */
+export function instrumentCode(
+  code,
+  { resolveImport = resolveAddon, allowExports = false, lineOffset = 0 } = {}
+) {
+  let ast
+  try {
+    ast = parseUserCode(code)
+  } catch (error) {
+    throw toSyntaxError(error)
+  }
+
+  const insertions = []
+  const imports = new Set()
+  const bindings = []
+  const exports = []
+
+  // Insertions sharing an offset are ordered so outer nodes open first and
+  // close last, keeping nested wrappers balanced. `remove` is the length of
+  // source text an insertion replaces.
+  const open = (offset, text, node, remove = 0) => {
+    insertions.push({ offset, text, closing: false, depth: node.start, remove })
+  }
+  const close = (offset, text, node) => {
+    insertions.push({ offset, text, closing: true, depth: node.start, remove: 0 })
+  }
+
+  const guardBody = (body, call, node) => {
+    if (body.type === 'BlockStatement') {
+      open(body.start + 1, `${call};`, node)
+    } else if (LOOP_TYPES.has(node.type)) {
+      // Single-statement loop body: `while (x) y()` -> `while (x) {guard;y()}`
+      open(body.start, `{${call};`, node)
+      close(body.end, '}', node)
+    } else {
+      // Arrow function with an expression body: `() => x` -> `() => (guard, x)`
+      open(body.start, `(${call}, `, node)
+      close(body.end, ')', node)
+    }
+  }
+
+  // Replace source text from `start` to `end`, keeping its line breaks
+  const replace = (start, end, text, node) => {
+    const lineBreaks = code.slice(start, end).replace(/[^\n]/g, '')
+    open(start, text + lineBreaks, node, end - start)
+  }
+
+  const exportDeclaration = (node) => {
+    if (node.source || node.type === 'ExportAllDeclaration') {
+      throw importError(
+        node,
+        'export ... from is not supported here; import the names, then export them'
+      )
+    }
+
+    if (node.type === 'ExportDefaultDeclaration') {
+      const { declaration } = node
+      if (declaration.id) {
+        // `export default function foo() {}` still declares foo for the file
+        replace(node.start, declaration.start, '', node)
+        close(declaration.end, ` var ${DEFAULT_EXPORT_NAME} = ${declaration.id.name};`, node)
+      } else {
+        replace(node.start, declaration.start, `var ${DEFAULT_EXPORT_NAME} = `, node)
+        // `export default function () {}` is now an expression statement
+        if (declaration.type.endsWith('Declaration')) close(declaration.end, ';', node)
+      }
+      exports.push({ name: 'default', local: DEFAULT_EXPORT_NAME })
+    } else if (node.declaration) {
+      const { declaration } = node
+      replace(node.start, declaration.start, '', node)
+      const names = declaration.declarations
+        ? declaration.declarations.flatMap((item) => patternNames(item.id))
+        : [declaration.id.name]
+      names.forEach((name) => exports.push({ name, local: name }))
+    } else {
+      replace(node.start, node.end, '', node)
+      node.specifiers.forEach((item) => {
+        const name = item.exported.name ?? item.exported.value
+        exports.push({ name, local: item.local.name })
+      })
+    }
+  }
+
+  walk(ast, (node, ancestors) => {
+    const position = `${node.loc.start.line + lineOffset}, ${node.loc.start.column + 1}`
+
+    const isAwait = node.type === 'AwaitExpression' || (node.type === 'ForOfStatement' && node.await)
+    if (isAwait && !ancestors.some((ancestor) => FUNCTION_TYPES.has(ancestor.type))) {
+      throw topLevelAwaitError(node)
+    }
+
+    if (node.type === 'ImportDeclaration') {
+      const specifier = resolveImport(node.source.value)
+      if (!specifier) {
+        throw importError(
+          node.source,
+          node.source.value.startsWith('.')
+            ? `Cannot import '${node.source.value}': there is no such file in this project`
+            : `Cannot import '${node.source.value}'. Only 'three' and three.js addons ('three/addons/...') are available here`
+        )
+      }
+      imports.add(specifier)
+      bindings.push(importBinding(node, specifier, position))
+      replace(node.start, node.end, '', node)
+    } else if (node.type === 'ImportExpression') {
+      throw importError(node, 'import() is not supported here; use an import statement instead')
+    } else if (EXPORT_TYPES.has(node.type)) {
+      if (!allowExports) {
+        throw importError(node, 'export is not supported here; nothing else imports your code')
+      }
+      exportDeclaration(node)
+    } else if (LOOP_TYPES.has(node.type)) {
+      guardBody(node.body, `${GUARD_NAME}.loop(${position})`, node)
+    } else if (FUNCTION_TYPES.has(node.type)) {
+      guardBody(node.body, `${GUARD_NAME}.call(${position})`, node)
+    }
+  })
+
+  if (bindings.length > 0) {
+    // Before everything else, so imported names are usable anywhere
+    insertions.push({ offset: 0, text: bindings.join(''), closing: false, depth: -1, remove: 0 })
+  }
+
+  insertions.sort((a, b) => {
+    if (a.offset !== b.offset) return a.offset - b.offset
+    // Closing text goes before opening text at the same offset
+    if (a.closing !== b.closing) return a.closing ? -1 : 1
+    return a.closing ? b.depth - a.depth : a.depth - b.depth
+  })
+
+  let result = ''
+  let cursor = 0
+  for (const insertion of insertions) {
+    result += code.slice(cursor, insertion.offset) + insertion.text
+    cursor = insertion.offset + insertion.remove
+  }
+  result += code.slice(cursor)
+
+  return {
+    code: result,
+    imports: [...imports],
+    exports,
+    toSourcePosition: createPositionMapper(code, result, insertions)
+  }
+}
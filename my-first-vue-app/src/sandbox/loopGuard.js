@@ -0,0 +1,53 @@
+/**
+ * Runtime half of the infinite-loop protection
+ *
+ * instrumentCode() puts calls to this guard at the top of every loop body
+ * and function body in the user's code. The guard measures how long the
+ * current task (the initial run, one animation frame, one timer callback)
+ * has been busy and throws once it goes over its budget, long before the
+ * tab would freeze.
+ */
+
+// Time budgets in milliseconds
+export const RUN_BUDGET = 2000
+export const CALLBACK_BUDGET = 1000
+
+export class InfiniteLoopError extends Error {
+  constructor(kind, line, column = null) {
+    super(`Possible infinite ${kind} at line ${line}`)
+    this.name = 'InfiniteLoopError'
+    this.line = line
+    this.column = column
+  }
+}
+
+/**
+ * Create a guard object for one execution environment
+ * @param {() => number} now - Clock used to measure the budget
+ */
+export function createLoopGuard(now = () => performance.now()) {
+  let taskStart = now()
+  let budget = RUN_BUDGET
+
+  /**
+   * Start measuring a new task
+   */
+  const beginTask = (taskBudget = CALLBACK_BUDGET) => {
+    taskStart = now()
+    budget = taskBudget
+  }
+
+  const check = (kind, line, column) => {
+    if (now() - taskStart > budget) {
+      throw new InfiniteLoopError(kind, line, column)
+    }
+  }
+
+  return {
+    beginTask,
+    // Called from instrumented loop bodies
+    loop: (line, column) => check('loop', line, column),
+    // Called from instrumented function bodies
+    call: (line, column) => check('recursion', line, column)
+  }
+}
@@ -0,0 +1,301 @@
+import { IMPORTS_NAME, instrumentCode } from './instrument'
+import { resolveAddon } from './addons'
+
+/**
+ * Projects: several files that import each other, run as one
+ *
+ * A project is { entry, files } with the files' text by path, e.g.
+ * { entry: 'main.js', files: { 'main.js': ..., 'planets.js': ...,
+ * 'shaders/glow.frag': ... } }. bundleProject() turns it into one script
+ * for the sandbox, which runs it like any user code:
+ *
+ *   (module loader)
+ *   __project__.define('./planets.js', function () {
+ *   (planets.js, instrumented, on the same lines as in the editor)
+ *   return { get radius() { return radius } }});
+ *   ...
+ *   __imports__('./main.js', [], 0, 0);
+ *
+ * Each file is instrumented on its own, with the line it starts on in the
+ * bundle as lineOffset, so a line of the bundle belongs to exactly one file
+ * and positions map back to the file and line in the editor. A file runs
+ * the first time it is imported, like an ES module. JSON files import as
+ * their data and shaders as their text, both as the default export.
+ */
+
+const PROJECT_NAME = '__project__'
+
+// Extension -> Monaco language
+const FILE_LANGUAGES = {
+  js: 'javascript',
+  ts: 'typescript',
+  json: 'json',
+  // Monaco has no GLSL; C++ highlighting fits it well enough
+  glsl: 'cpp',
+  vert: 'cpp',
+  frag: 'cpp'
+}
+
+const FILE_NAME_PATTERN = /^[A-Za-z0-9_-]+(\/[A-Za-z0-9_-]+)*\.[a-z]+$/
+
+/**
+ * Extensions a project file may have
+ */
+export const FILE_EXTENSIONS = Object.keys(FILE_LANGUAGES)
+
+const extensionOf = (path) => path.slice(path.lastIndexOf('.') + 1)
+
+/**
+ * Monaco language of a file, by its extension
+ */
+export const fileLanguage = (path) => FILE_LANGUAGES[extensionOf(path)] || 'plaintext'
+
+const isScript = (path) => ['js', 'ts'].includes(extensionOf(path))
+
+const scriptName = (path) => path.toLowerCase().replace(/\.ts$/, '.js')
+
+/**
+ * What is wrong with a name for a new file, if anything
+ * @param {string} path - e.g. 'shaders/glow.frag'
+ * @param {string[]} taken - Paths of the project's files
+ * @returns {string|null}
+ */
+export const findFileNameProblem = (path, taken) => {
+  if (!FILE_NAME_PATTERN.test(path)) {
+    return 'Use letters, digits, - and _, folders separated by /, and an extension'
+  }
+  if (!FILE_EXTENSIONS.includes(extensionOf(path))) {
+    return `Files can be ${FILE_EXTENSIONS.map((extension) => `.${extension}`).join(', ')}`
+  }
+  // planets.js and planets.ts would both be what './planets' imports
+  const sameName = (item) => scriptName(item) === scriptName(path)
+  const existing = taken.find(sameName)
+  if (existing) {
+    return `There is a file named ${existing} already`
+  }
+  return null
+}
+
+/**
+ * Resolve what a file of a project imports
+ *
+ * Relative specifiers name other files; the extension may be left out,
+ * and `.js` also finds a `.ts` file, as in TypeScript projects. A `?raw`
+ * suffix, as Vite uses for shaders, is ignored.
+ * @returns {string|null} './<path>' for a file of the project, the result
+ *   of resolveAddon() otherwise
+ */
+export const resolveProjectImport = (specifier, importer, paths) => {
+  if (!specifier.startsWith('./') && !specifier.startsWith('../')) {
+    return resolveAddon(specifier)
+  }
+
+  const segments = importer.split('/').slice(0, -1)
+  for (const segment of specifier.replace(/\?raw$/, '').split('/')) {
+    if (segment === '..') {
+      if (segments.length === 0) return null
+      segments.pop()
+    } else if (segment !== '.') {
+      segments.push(segment)
+    }
+  }
+
+  const path = segments.join('/')
+  const candidates = [path, `${path}.js`, `${path}.ts`, path.replace(/\.js$/, '.ts')]
+  const found = candidates.find((candidate) => paths.includes(candidate))
+  return found ? `./${found}` : null
+}
+
+/**
+ * Module loader at the start of every bundle
+ *
+ * Runs in the sandbox as the text of this function, so it must not use
+ * anything from outside it.
+ */
+function createProjectModules(importAddon) {
+  const definitions = {}
+  const modules = {}
+
+  const fail = (error, line, column) => {
+    error.line = line
+    error.column = column
+    throw error
+  }
+
+  return {
+    define: (path, factory) => {
+      definitions[path] = factory
+    },
+    importModule: (specifier, names, line, column) => {
+      if (!Object.hasOwn(definitions, specifier)) {
+        return importAddon(specifier, names, line, column)
+      }
+
+      const name = specifier.slice(2)
+      if (!Object.hasOwn(modules, specifier)) {
+        // Marks the file as loading until it is done
+        modules[specifier] = null
+        try {
+          modules[specifier] = definitions[specifier]()
+        } catch (error) {
+          delete modules[specifier]
+          throw error
+        }
+      }
+
+      const module = modules[specifier]
+      if (module === null) {
+        const error = new Error(
+          `${name} imports a file that imports it back; move what they share into a file of its own`
+        )
+        error.name = 'ImportError'
+        fail(error, line, column)
+      }
+      const missing = names.find((item) => !(item in module))
+      if (missing !== undefined) {
+        fail(new SyntaxError(`The file '${name}' does not export '${missing}'`), line, column)
+      }
+      return module
+    }
+  }
+}
+
+const countLines = (text) => text.split('\n').length
+
+const exportsObject = (exports) => {
+  const getters = exports.map(({ name, local }) => {
+    return `get ${JSON.stringify(name)}() { return ${local} }`
+  })
+  return `{ ${getters.join(', ')} }`
+}
+
+/**
+ * Error located in a file of the project, as the editor shows it
+ */
+const locateInFile = (error, path, toEditor) => {
+  if (typeof error.line === 'number') {
+    const position = toEditor(error.line, error.column ?? 1)
+    error.line = position.line
+    error.column = error.column == null ? null : position.column
+  }
+  error.file = path
+  return error
+}
+
+const identityPosition = (line, column) => ({ line, column })
+
+/**
+ * Turn a project into one script for the sandbox
+ * @param {{ entry: string, files: Object<string, string> }} project
+ * @param {object} [options]
+ * @param {Function} [options.transpile] - Turns TypeScript into
+ *   { code, toSourcePosition }, like transpileTypeScript()
+ * @returns {Promise<{ code: string, imports: string[], toInput: Function, toEditor: Function }>}
+ *   The script, the addons it imports, and position mappers: toInput from
+ *   the script to the bundle before instrumenting, toEditor from there to
+ *   { file, line, column } in the editor
+ * @throws {Error} With `file`, `line` and `column` as the editor shows them,
+ *   for files that do not parse or import what is not there
+ */
+export async function bundleProject({ entry, files }, { transpile } = {}) {
+  const paths = Object.keys(files)
+  if (!isScript(entry) || !Object.hasOwn(files, entry)) {
+    throw new Error(`The project has no ${entry} to start from`)
+  }
+
+  // JavaScript for every script first, as the line counts decide the layout
+  const scripts = {}
+  for (const path of paths.filter(isScript)) {
+    if (extensionOf(path) === 'ts') {
+      try {
+        const transpiled = await transpile(files[path])
+        scripts[path] = { code: transpiled.code, toEditor: transpiled.toSourcePosition }
+      } catch (error) {
+        // Syntax errors of the transpiler are in TypeScript lines already
+        throw locateInFile(error, path, identityPosition)
+      }
+    } else {
+      scripts[path] = { code: files[path], toEditor: identityPosition }
+    }
+  }
+
+  const loader =
+    `var ${PROJECT_NAME} = (${createProjectModules})(${IMPORTS_NAME});` +
+    ` ${IMPORTS_NAME} = ${PROJECT_NAME}.importModule;`
+  const parts = [loader]
+  let nextLine = countLines(loader) + 1
+  const ranges = []
+  const imports = new Set()
+
+  for (const path of paths) {
+    const define = `${PROJECT_NAME}.define(${JSON.stringify(`./${path}`)}, function () {`
+
+    if (!isScript(path)) {
+      let value = JSON.stringify(files[path])
+      if (extensionOf(path) === 'json') {
+        try {
+          JSON.parse(files[path])
+        } catch (error) {
+          throw Object.assign(new SyntaxError(`${path} is not valid JSON: ${error.message}`), {
+            file: path,
+            line: null,
+            column: null
+          })
+        }
+        value = `JSON.parse(${value})`
+      }
+      parts.push(`${define} return { default: ${value} } });`)
+      nextLine++
+      continue
+    }
+
+    const script = scripts[path]
+    // The file starts on the line after the define
+    const start = nextLine + 1
+    let instrumented
+    try {
+      instrumented = instrumentCode(script.code, {
+        resolveImport: (specifier) => resolveProjectImport(specifier, path, paths),
+        allowExports: true,
+        lineOffset: start - 1
+      })
+    } catch (error) {
+      throw locateInFile(error, path, script.toEditor)
+    }
+
+    instrumented.imports
+      .filter((specifier) => !specifier.startsWith('./'))
+      .forEach((specifier) => imports.add(specifier))
+    const lines = countLines(instrumented.code)
+    ranges.push({
+      path,
+      start,
+      end: start + lines - 1,
+      ...script,
+      toInput: instrumented.toSourcePosition
+    })
+    parts.push(define, instrumented.code, `return ${exportsObject(instrumented.exports)}});`)
+    nextLine = start + lines + 1
+  }
+
+  parts.push(`${IMPORTS_NAME}(${JSON.stringify(`./${entry}`)}, [], 0, 0);`)
+
+  const rangeAt = (line) => ranges.find((range) => line >= range.start && line <= range.end)
+
+  return {
+    code: parts.join('\n'),
+    imports: [...imports],
+    toInput: (line, column) => {
+      const range = rangeAt(line)
+      if (!range) return { line, column }
+      const position = range.toInput(line - range.start + 1, column)
+      return { line: position.line + range.start - 1, column: position.column }
+    },
+    toEditor: (line, column) => {
+      const range = rangeAt(line)
+      if (!range) return { file: null, line, column }
+      const position = range.toEditor(line - range.start + 1, column)
+      return { file: range.path, line: position.line, column: position.column }
+    }
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * Message protocol shared by the host page and the code sandbox iframe
+ *
+ * Every message carries the channel name so unrelated postMessage traffic
+ * (devtools, extensions) is ignored. Requests from the host have an `id`;
+ * the sandbox answers each one with a RESPONSE carrying the same `id`, or
+ * a REQUEST_FAILED with the error when it could not answer.
+ * Everything else the sandbox sends on its own is an event.
+ */
+export const SANDBOX_CHANNEL = 'threejs-tutorial-sandbox'
+
+export const MessageType = {
+  // Sandbox -> host events
+  READY: 'ready',
+  RUNTIME_ERROR: 'runtime-error',
+  CONSOLE: 'console',
+  CONSOLE_CLEAR: 'console-clear',
+  // Renderer statistics, sent every SAMPLE_INTERVAL (see ./rendererStats.js)
+  STATS: 'stats',
+
+  // Host -> sandbox requests
+  EXECUTE: 'execute',
+  // Run code against a virtual clock and report its transforms frame by frame
+  SIMULATE: 'simulate',
+  // Run code the same way, then render it offscreen and send the pixels
+  RENDER_IMAGE: 'render-image',
+  SNAPSHOT: 'snapshot',
+  RESET: 'reset',
+  RESET_VIEW: 'reset-view',
+  // Scene inspector: describe the scene, highlight an object, edit one
+  INSPECT: 'inspect',
+  SELECT_OBJECT: 'select-object',
+  UPDATE_OBJECT: 'update-object',
+
+  // Sandbox -> host answer to a request
+  RESPONSE: 'response',
+  // Sandbox -> host: a request could not be answered; the payload is the
+  // serialized error
+  REQUEST_FAILED: 'request-failed'
+}
+
+/**
+ * Build a message envelope
+ */
+export const createMessage = (type, payload = null, id = null) => {
+  return { channel: SANDBOX_CHANNEL, type, id, payload }
+}
+
+/**
+ * Check that a postMessage payload belongs to the sandbox protocol
+ */
+export const isSandboxMessage = (data) => {
+  return !!data && typeof data === 'object' && data.channel === SANDBOX_CHANNEL
+}
+
+/**
+ * Turn an error into plain data that survives structured cloning
+ */
+export const serializeError = (error) => {
+  if (!error || typeof error !== 'object') {
+    return { message: String(error), type: 'Error', stack: null, line: null, column: null }
+  }
+
+  return {
+    message: error.message || String(error),
+    type: error.name || 'Error',
+    stack: error.stack || null,
+    // Only set for errors that know their source position, e.g. syntax
+    // errors and InfiniteLoopError; others are located from the stack
+    line: typeof error.line === 'number' ? error.line : null,
+    column: typeof error.column === 'number' ? error.column : null
+  }
+}
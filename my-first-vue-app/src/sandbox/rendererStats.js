@@ -0,0 +1,86 @@
+/**
+ * Frame and resource statistics for a WebGLRenderer
+ *
+ * Reads `renderer.info` once per frame. Its per-call auto reset is turned
+ * off, so draw calls and triangles cover every render() of a frame (e.g.
+ * postprocessing passes), not just the last one. Works for the sandbox
+ * runtime, which calls beginFrame()/endFrame() around its own rendering,
+ * and for the chapter demos, where a separate animation frame loop calls
+ * both back to back.
+ */
+
+// Milliseconds between samples
+export const SAMPLE_INTERVAL = 500
+
+const round = (value) => Math.round(value * 10) / 10
+
+/**
+ * @param {THREE.WebGLRenderer} renderer
+ */
+export function createRendererStats(renderer) {
+  const info = renderer.info
+  info.autoReset = false
+
+  let windowStart = null
+  let lastFrameStart = null
+  let frames = 0
+  let totalFrameTime = 0
+  let maxFrameTime = 0
+  let lastFrame = { calls: 0, triangles: 0 }
+
+  /**
+   * Call before anything is rendered for a frame
+   */
+  const beginFrame = (now = performance.now()) => {
+    if (windowStart === null) windowStart = now
+
+    if (lastFrameStart !== null) {
+      const frameTime = now - lastFrameStart
+      frames++
+      totalFrameTime += frameTime
+      maxFrameTime = Math.max(maxFrameTime, frameTime)
+    }
+    lastFrameStart = now
+
+    info.reset()
+  }
+
+  /**
+   * Call once the frame has been rendered
+   */
+  const endFrame = () => {
+    lastFrame = { calls: info.render.calls, triangles: info.render.triangles }
+  }
+
+  /**
+   * Statistics since the previous sample
+   * @returns {{ fps: number, frameTime: number, maxFrameTime: number,
+   *   calls: number, triangles: number, geometries: number,
+   *   textures: number, programs: number }}
+   */
+  const sample = (now = performance.now()) => {
+    const elapsed = windowStart === null ? 0 : now - windowStart
+    const result = {
+      fps: elapsed > 0 ? round((frames * 1000) / elapsed) : 0,
+      frameTime: frames > 0 ? round(totalFrameTime / frames) : 0,
+      maxFrameTime: round(maxFrameTime),
+      calls: lastFrame.calls,
+      triangles: lastFrame.triangles,
+      geometries: info.memory.geometries,
+      textures: info.memory.textures,
+      programs: info.programs ? info.programs.length : 0
+    }
+
+    windowStart = now
+    frames = 0
+    totalFrameTime = 0
+    maxFrameTime = 0
+    return result
+  }
+
+  return {
+    beginFrame,
+    endFrame,
+    sample
+  }
+}
@@ -0,0 +1,144 @@
+import * as THREE from 'three'
+import { GUARD_NAME, IMPORTS_NAME } from './instrument'
+import { createImportFunction } from './addons'
+import { RUN_BUDGET } from './loopGuard'
+import { createExecutionScope } from './executionScope'
+import { compileUserCode, stripWrapperFromStack } from './userSource'
+import { createSeededRandom, createVirtualClock, installVirtualGlobals } from './virtualClock'
+import { createStage, disposeScene, readRendererState, applyRendererState } from './stage'
+import { serializeError } from './protocol'
+
+/**
+ * How user code is run, shared by the sandbox iframe (./runtime.js) and
+ * the headless sandbox used from Node (./headlessRuntime.js)
+ *
+ * The runtimes pass in what differs between them: the renderer and
+ * controls, the timers a run schedules onto and where console output goes.
+ * What the code sees, how it is compiled and how a run on the virtual
+ * clock is stepped live here, so both run code the same way.
+ */
+
+/**
+ * Serialize an error with user-code frames relative to the user's code
+ */
+export function serializeUserError(error) {
+  const serialized = serializeError(error)
+  if (serialized.stack) {
+    serialized.stack = stripWrapperFromStack(serialized.stack)
+  }
+  return serialized
+}
+
+/**
+ * Globals visible to user code
+ *
+ * The sandbox realm is the security boundary, so this only provides the
+ * tutorial's well-known names rather than shadowing dangerous globals.
+ * @param {object} options
+ * @param {object} options.scope - The run's scope, from createExecutionScope()
+ * @param {{ scene: THREE.Scene, camera: THREE.Camera }} options.stage - What
+ *   the code builds on: the live scene, or a simulation's own
+ * @param {object} options.renderer
+ * @param {object} options.controls
+ * @param {object} options.loopGuard - Guard from createLoopGuard()
+ * @param {object} options.modules - Modules the code imports, from loadAddons()
+ * @param {object} options.console - From createUserConsole()
+ */
+export function createUserContext({ scope, stage, renderer, controls, loopGuard, modules, console }) {
+  return {
+    THREE,
+    scene: stage.scene,
+    camera: stage.camera,
+    renderer,
+    controls,
+    // Output goes to the console panel under the canvas
+    console,
+    Math,
+    // Supported animation API: onFrame((dt, elapsed) => { ... })
+    onFrame: scope.onFrame,
+    // Take over drawing, e.g. renderWith(() => composer.render())
+    renderWith: scope.renderWith,
+    [GUARD_NAME]: loopGuard,
+    // Rewritten import statements read from here
+    [IMPORTS_NAME]: createImportFunction(modules)
+  }
+}
+
+/**
+ * Compile instrumented code against a context and run it in a scope
+ * @throws Whatever the code throws
+ */
+export function runUserCode(code, { scope, context, loopGuard }) {
+  const userFunction = compileUserCode(code, Object.keys(context))
+  loopGuard.beginTask(RUN_BUDGET)
+  scope.run(userFunction, null, Object.values(context))
+}
+
+/**
+ * Run code in a scene of its own, stepped frame by frame on a virtual clock
+ *
+ * Everything time-based follows the clock: onFrame's dt and elapsed,
+ * animation frames, timers, performance.now() and Date.now(). The code
+ * starts from the default renderer settings, and the renderer is left as
+ * it was afterwards.
+ * @param {object} host - What the runtime provides
+ * @param {object} host.renderer
+ * @param {object} host.defaultRendererState - Renderer settings before any code ran
+ * @param {object} host.loopGuard - Guard from createLoopGuard()
+ * @param {number} host.aspect - Width over height of the view
+ * @param {(scope: object, modules: object, stage: object) => object} host.createContext -
+ *   The globals for the run, see createUserContext()
+ * @param {(scope: object) => () => void} [host.enterScope] - Makes the run's
+ *   scope the active one; returns a function that switches back
+ * @param {string} code - Instrumented user code
+ * @param {object} modules - Modules the code imports, from loadAddons()
+ * @param {{ frames: number, fps: number, seed: number }} options
+ * @param {object} hooks
+ * @param {(scene: THREE.Scene, time: number) => void} [hooks.afterFrame] - Called
+ *   right after the run (time 0) and after every frame
+ * @param {(stage: { scene, camera }) => object} hooks.finish - Called after the
+ *   last frame; its return value is the result
+ * @returns {{ success: boolean, error: object|null, result: object|null }}
+ */
+export function runOnVirtualClock(host, code, modules, { frames, fps, seed }, { afterFrame, finish }) {
+  const { renderer, loopGuard } = host
+  const stage = createStage(host.aspect)
+
+  const clock = createVirtualClock()
+  const errors = []
+  const scope = createExecutionScope({
+    timers: clock.timers,
+    loopGuard,
+    onError: (error) => errors.push(error)
+  })
+
+  const context = host.createContext(scope, modules, stage)
+  const dt = 1 / fps
+
+  const leaveScope = host.enterScope ? host.enterScope(scope) : () => {}
+  const liveRendererState = readRendererState(renderer)
+  applyRendererState(renderer, host.defaultRendererState)
+  const restoreGlobals = installVirtualGlobals(clock, createSeededRandom(seed))
+
+  try {
+    runUserCode(code, { scope, context, loopGuard })
+    if (afterFrame) afterFrame(stage.scene, 0)
+
+    for (let frame = 1; frame <= frames && errors.length === 0; frame++) {
+      clock.advance(1000 * dt)
+      scope.tick(dt, frame * dt)
+      if (afterFrame) afterFrame(stage.scene, frame * dt)
+    }
+    if (errors.length > 0) throw errors[0]
+
+    return { success: true, error: null, result: finish(stage) }
+  } catch (error) {
+    return { success: false, error: serializeUserError(error), result: null }
+  } finally {
+    restoreGlobals()
+    applyRendererState(renderer, liveRendererState)
+    leaveScope()
+    scope.dispose()
+    disposeScene(stage.scene)
+  }
+}
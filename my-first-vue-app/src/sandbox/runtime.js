@@ -0,0 +1,443 @@
+import * as THREE from 'three'
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
+import { loadAddons } from './addons'
+import { createLoopGuard } from './loopGuard'
+import { createExecutionScope } from './executionScope'
+import { createUserConsole } from './userConsole'
+import { createViewKeeper } from './viewKeeper'
+import { createSceneInspector } from './sceneInspector'
+import { createRendererStats, SAMPLE_INTERVAL } from './rendererStats'
+import { captureImage } from './imageCapture'
+import {
+  createUserContext,
+  runUserCode,
+  runOnVirtualClock,
+  serializeUserError
+} from './runOnClock'
+import {
+  createStage,
+  resetStageScene,
+  disposeScene,
+  sampleTransforms,
+  readRendererState,
+  applyRendererState,
+  snapshotScene
+} from './stage'
+import { MessageType, createMessage, isSandboxMessage, serializeError } from './protocol'
+
+/**
+ * Sandbox runtime
+ *
+ * Runs inside the `sandbox="allow-scripts"` iframe (see /sandbox.html). The
+ * iframe has an opaque origin, so user code evaluated here cannot reach the
+ * host page, its localStorage or its app state. The runtime owns its own
+ * THREE scene, camera, renderer and controls and talks to the host only
+ * through the message protocol in ./protocol.js.
+ *
+ * Timers, animation frames and event listeners created by user code are
+ * tracked per run (see ./executionScope.js) and torn down before the next
+ * run, so only the runtime's own frame loop survives a re-run.
+ *
+ * Simulations and image renders (SIMULATE and RENDER_IMAGE requests) run
+ * the code once more in a scene of their own, against a virtual clock and
+ * a seeded Math.random, and step its frames synchronously so validators
+ * can check how it animates and what it looks like.
+ */
+
+const canvas = document.getElementById('sandbox-canvas')
+
+let scene, camera, renderer, controls, viewKeeper, inspector, stats
+// Renderer settings before any code ran; runs on the virtual clock start from these
+let defaultRendererState = null
+
+// Budgets are measured in real time, even while a simulation has
+// performance.now() following its virtual clock
+const nativeNow = performance.now.bind(performance)
+
+// Budget checks called from the instrumented user code
+const loopGuard = createLoopGuard(nativeNow)
+
+// Longest frame step handed to onFrame callbacks, in seconds; keeps
+// animations from jumping after the tab was in the background
+const MAX_FRAME_DELTA = 0.1
+
+// Unpatched browser functions, used by the runtime itself and by scopes
+const nativeTimers = {
+  requestAnimationFrame: window.requestAnimationFrame.bind(window),
+  cancelAnimationFrame: window.cancelAnimationFrame.bind(window),
+  setTimeout: window.setTimeout.bind(window),
+  clearTimeout: window.clearTimeout.bind(window),
+  setInterval: window.setInterval.bind(window),
+  clearInterval: window.clearInterval.bind(window)
+}
+const nativeDomListeners = {
+  add: EventTarget.prototype.addEventListener,
+  remove: EventTarget.prototype.removeEventListener
+}
+const nativeDispatcherListeners = {
+  add: THREE.EventDispatcher.prototype.addEventListener,
+  remove: THREE.EventDispatcher.prototype.removeEventListener
+}
+
+// Scope of the current run of user code
+let activeScope = null
+let runStartTime = 0
+let lastFrameTime = null
+let lastStatsTime = 0
+
+const post = (type, payload = null, id = null) => {
+  window.parent.postMessage(createMessage(type, payload, id), '*')
+}
+
+const reportRuntimeError = (error) => {
+  post(MessageType.RUNTIME_ERROR, serializeUserError(error))
+}
+
+const isCapturing = () => !!activeScope && activeScope.isCapturing()
+
+/**
+ * Route the realm's timer and listener APIs through the active scope
+ *
+ * Only calls made while user code is running are tracked; the runtime and
+ * three.js internals keep using the native behaviour.
+ */
+function installScopeHooks() {
+  const scheduling = ['requestAnimationFrame', 'setTimeout', 'setInterval']
+  const cancelling = ['cancelAnimationFrame', 'clearTimeout', 'clearInterval']
+
+  scheduling.forEach((name) => {
+    window[name] = (...args) => {
+      return isCapturing() ? activeScope[name](...args) : nativeTimers[name](...args)
+    }
+  })
+
+  cancelling.forEach((name) => {
+    window[name] = (id) => {
+      return activeScope ? activeScope[name](id) : nativeTimers[name](id)
+    }
+  })
+
+  EventTarget.prototype.addEventListener = function (type, listener, options) {
+    if (isCapturing()) {
+      return activeScope.addListener(this, type, listener, options, nativeDomListeners)
+    }
+    return nativeDomListeners.add.call(this, type, listener, options)
+  }
+
+  EventTarget.prototype.removeEventListener = function (type, listener, options) {
+    if (activeScope && activeScope.removeListener(this, type, listener, options)) return
+    return nativeDomListeners.remove.call(this, type, listener, options)
+  }
+}
+
+/**
+ * Track three.js event listeners on objects that outlive a run
+ *
+ * Patched per instance rather than on EventDispatcher.prototype, because
+ * the renderer registers its own listeners on materials and textures while
+ * user code is running.
+ */
+function trackDispatcher(target) {
+  target.addEventListener = function (type, listener) {
+    if (isCapturing()) {
+      return activeScope.addListener(this, type, listener, undefined, nativeDispatcherListeners)
+    }
+    return nativeDispatcherListeners.add.call(this, type, listener)
+  }
+
+  target.removeEventListener = function (type, listener) {
+    if (activeScope && activeScope.removeListener(this, type, listener, undefined)) return
+    return nativeDispatcherListeners.remove.call(this, type, listener)
+  }
+}
+
+function initThreeJS() {
+  const width = window.innerWidth
+  const height = window.innerHeight
+
+  // Create scene and camera
+  const stage = createStage(width / height)
+  scene = stage.scene
+  camera = stage.camera
+
+  // Create renderer
+  renderer = new THREE.WebGLRenderer({
+    canvas,
+    antialias: true
+  })
+  renderer.setSize(width, height, false)
+  renderer.setPixelRatio(window.devicePixelRatio)
+  defaultRendererState = readRendererState(renderer)
+
+  // Create controls
+  controls = new OrbitControls(camera, canvas)
+  controls.enableDamping = true
+  controls.dampingFactor = 0.05
+
+  viewKeeper = createViewKeeper(camera, controls)
+  inspector = createSceneInspector(scene)
+  stats = createRendererStats(renderer)
+
+  trackDispatcher(scene)
+  trackDispatcher(camera)
+  trackDispatcher(controls)
+
+  window.addEventListener('resize', onWindowResize)
+}
+
+function onWindowResize() {
+  const width = window.innerWidth
+  const height = window.innerHeight
+
+  camera.aspect = width / height
+  camera.updateProjectionMatrix()
+  renderer.setSize(width, height, false)
+}
+
+function animate() {
+  nativeTimers.requestAnimationFrame(animate)
+
+  // Fallback for callbacks we do not wrap: a busy task blocks frames, so a
+  // fresh frame means no user code is stuck
+  loopGuard.beginTask()
+
+  const now = performance.now() / 1000
+  const dt = lastFrameTime === null ? 0 : Math.min(now - lastFrameTime, MAX_FRAME_DELTA)
+  lastFrameTime = now
+
+  stats.beginFrame(now * 1000)
+  controls.update()
+
+  if (activeScope) {
+    activeScope.tick(dt, now - runStartTime)
+    activeScope.render(renderDefault)
+  } else {
+    renderDefault()
+  }
+
+  stats.endFrame()
+  inspector.renderOverlay(renderer, camera)
+
+  if (now * 1000 - lastStatsTime >= SAMPLE_INTERVAL) {
+    lastStatsTime = now * 1000
+    post(MessageType.STATS, stats.sample(lastStatsTime))
+  }
+}
+
+function renderDefault() {
+  renderer.render(scene, camera)
+}
+
+/**
+ * Stop every loop, timer and listener the previous run started
+ */
+function disposeActiveScope() {
+  if (activeScope) {
+    activeScope.dispose()
+    activeScope = null
+  }
+}
+
+/**
+ * Bring the scene and the renderer settings back to the state a fresh run
+ * starts from
+ */
+function resetScene() {
+  inspector.clear()
+  disposeScene(scene)
+  scene.clear()
+  resetStageScene(scene)
+  // Otherwise settings an earlier run made would show up in snapshots
+  applyRendererState(renderer, defaultRendererState)
+}
+
+/**
+ * Globals visible to user code (see ./runOnClock.js), with output going
+ * to the host's console panel
+ * @param {{ scene: THREE.Scene, camera: THREE.Camera }} stage - What the
+ *   code builds on: the live scene, or a simulation's own
+ */
+function createSafeContext(scope, modules, stage) {
+  return createUserContext({
+    scope,
+    stage,
+    renderer,
+    controls,
+    loopGuard,
+    modules,
+    console: createUserConsole(
+      (entry) => post(MessageType.CONSOLE, entry),
+      () => post(MessageType.CONSOLE_CLEAR)
+    )
+  })
+}
+
+/**
+ * Serialize the live scene, or a simulation's, for the host
+ */
+function createSnapshot(target = scene, targetCamera = camera) {
+  return snapshotScene(target, targetCamera, renderer)
+}
+
+/**
+ * @param {string} code - Instrumented user code
+ * @param {boolean} preserveView - Hot reload: keep the camera and named
+ *   objects where they are unless the code now puts them somewhere else
+ * @param {object} modules - Modules the code imports, from loadAddons()
+ */
+function executeCode(code, preserveView, modules) {
+  const liveView = preserveView ? viewKeeper.captureLive(scene) : null
+
+  disposeActiveScope()
+  resetScene()
+  viewKeeper.resetCamera()
+
+  const scope = createExecutionScope({
+    timers: nativeTimers,
+    loopGuard,
+    onError: reportRuntimeError
+  })
+  activeScope = scope
+  runStartTime = performance.now() / 1000
+
+  const context = createSafeContext(scope, modules, { scene, camera })
+
+  try {
+    runUserCode(code, { scope, context, loopGuard })
+  } catch (error) {
+    // Don't leave half of a failed run animating
+    disposeActiveScope()
+    if (liveView) viewKeeper.restoreCamera(liveView)
+    return { success: false, error: serializeUserError(error), snapshot: null }
+  }
+
+  viewKeeper.afterRun(scene, liveView)
+
+  return { success: true, error: null, snapshot: createSnapshot() }
+}
+
+/**
+ * What a run on the virtual clock needs from the iframe, see
+ * runOnVirtualClock() in ./runOnClock.js
+ *
+ * Listeners the code adds are attributed to the run's scope, and the live
+ * preview is left as it was.
+ */
+function virtualClockHost() {
+  return {
+    renderer,
+    defaultRendererState,
+    loopGuard,
+    aspect: window.innerWidth / window.innerHeight,
+    createContext: createSafeContext,
+    enterScope: (scope) => {
+      const liveScope = activeScope
+      activeScope = scope
+      return () => {
+        activeScope = liveScope
+      }
+    }
+  }
+}
+
+/**
+ * Step the code and sample every object's transforms after each frame
+ * @returns The result is a snapshot of the last frame plus, for frame 0
+ *   (right after the run) to `frames`, the time and sampleTransforms()
+ */
+function simulateCode(code, modules, options) {
+  const samples = []
+  return runOnVirtualClock(virtualClockHost(), code, modules, options, {
+    afterFrame: (target, time) => samples.push({ time, objects: sampleTransforms(target) }),
+    finish: (stage) => ({
+      snapshot: createSnapshot(stage.scene, stage.camera),
+      fps: options.fps,
+      samples
+    })
+  })
+}
+
+/**
+ * Step the code, then render its scene offscreen from a fixed viewpoint
+ * @param {object} options - Also the image's width, height and view, see
+ *   ./imageCapture.js
+ */
+function renderCodeImage(code, modules, { width, height, view, ...options }) {
+  return runOnVirtualClock(virtualClockHost(), code, modules, options, {
+    finish: (stage) => captureImage(renderer, stage.scene, { width, height, view })
+  })
+}
+
+const handlers = {
+  [MessageType.EXECUTE]: async ({ code, preserveView, imports = [] }) => {
+    try {
+      // Loaded before the run so the code itself stays synchronous
+      const modules = await loadAddons(imports)
+      return executeCode(code, !!preserveView, modules)
+    } catch (error) {
+      // Syntax errors the host did not catch, or an addon that failed to load
+      return { success: false, error: serializeUserError(error), snapshot: null }
+    }
+  },
+  [MessageType.SIMULATE]: async ({ code, imports = [], frames, fps, seed }) => {
+    try {
+      const modules = await loadAddons(imports)
+      return simulateCode(code, modules, { frames, fps, seed })
+    } catch (error) {
+      return { success: false, error: serializeUserError(error), result: null }
+    }
+  },
+  [MessageType.RENDER_IMAGE]: async ({ code, imports = [], ...options }) => {
+    try {
+      const modules = await loadAddons(imports)
+      return renderCodeImage(code, modules, options)
+    } catch (error) {
+      return { success: false, error: serializeUserError(error), result: null }
+    }
+  },
+  [MessageType.SNAPSHOT]: () => createSnapshot(),
+  [MessageType.RESET]: () => {
+    disposeActiveScope()
+    resetScene()
+    return createSnapshot()
+  },
+  [MessageType.RESET_VIEW]: () => {
+    viewKeeper.resetView()
+    return createSnapshot()
+  },
+  [MessageType.INSPECT]: () => inspector.describe(),
+  [MessageType.SELECT_OBJECT]: ({ uuid = null }) => inspector.select(uuid),
+  [MessageType.UPDATE_OBJECT]: ({ uuid, changes }) => inspector.update(uuid, changes)
+}
+
+window.addEventListener('message', (event) => {
+  if (event.source !== window.parent || !isSandboxMessage(event.data)) return
+
+  const { type, id, payload } = event.data
+  const handler = handlers[type]
+  if (!handler) return
+
+  const fail = (error) => {
+    console.error(`Sandbox request ${type} failed:`, error)
+    post(MessageType.REQUEST_FAILED, serializeError(error), id)
+  }
+
+  // Every request gets an answer, or the host would wait for it forever
+  new Promise((resolve) => resolve(handler(payload || {})))
+    .then((result) => post(MessageType.RESPONSE, result, id))
+    .catch(fail)
+})
+
+// Errors thrown later, e.g. inside the user's animation loop
+window.addEventListener('error', (event) => {
+  reportRuntimeError(event.error || event.message)
+})
+
+window.addEventListener('unhandledrejection', (event) => {
+  reportRuntimeError(event.reason)
+})
+
+installScopeHooks()
+initThreeJS()
+animate()
+post(MessageType.READY)
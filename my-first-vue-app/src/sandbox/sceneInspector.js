@@ -0,0 +1,196 @@
+import * as THREE from 'three'
+
+/**
+ * Scene inspector, sandbox side
+ *
+ * Describes the scene graph as plain data for the inspector panel in the
+ * host page, highlights the selected object and applies the panel's live
+ * edits. The highlight lives in a separate overlay scene drawn on top of
+ * each frame, so it never shows up in the user's scene, its snapshots or
+ * challenge checks.
+ *
+ * Node shape: { uuid, type, name, visible, transform, geometry?, material?,
+ * light?, children, more? }
+ */
+
+// Objects described per scene before the rest is summarised as "more"
+const MAX_NODES = 500
+
+const HIGHLIGHT_COLOR = 0xffff00
+
+const round = (value) => Number(value.toFixed(3))
+
+const firstMaterial = (object) => {
+  return Array.isArray(object.material) ? object.material[0] : object.material
+}
+
+const materialsOf = (object) => {
+  if (!object.material) return []
+  return Array.isArray(object.material) ? object.material : [object.material]
+}
+
+const describeGeometry = (geometry) => {
+  const position = geometry.attributes && geometry.attributes.position
+  return {
+    type: geometry.type,
+    vertices: position ? position.count : 0,
+    triangles: geometry.index
+      ? geometry.index.count / 3
+      : position
+        ? Math.floor(position.count / 3)
+        : 0
+  }
+}
+
+const describeMaterial = (object) => {
+  const material = firstMaterial(object)
+  if (!material) return null
+
+  return {
+    type: material.type,
+    count: materialsOf(object).length,
+    color: material.color ? material.color.getHex() : null,
+    metalness: typeof material.metalness === 'number' ? round(material.metalness) : null,
+    roughness: typeof material.roughness === 'number' ? round(material.roughness) : null
+  }
+}
+
+/**
+ * Everything about one object except its children
+ */
+export const describeObject = (object) => {
+  const node = {
+    uuid: object.uuid,
+    type: object.type,
+    name: object.name,
+    visible: object.visible,
+    transform: {
+      position: object.position.toArray().map(round),
+      rotation: [object.rotation.x, object.rotation.y, object.rotation.z].map(round),
+      scale: object.scale.toArray().map(round)
+    }
+  }
+
+  if (object.geometry) node.geometry = describeGeometry(object.geometry)
+  if (object.material) node.material = describeMaterial(object)
+  if (object.isLight) {
+    node.light = { intensity: round(object.intensity), color: object.color.getHex() }
+  }
+
+  return node
+}
+
+/**
+ * Describe a scene and its descendants, depth first, up to MAX_NODES
+ */
+export const describeScene = (scene) => {
+  let budget = MAX_NODES
+
+  const describe = (object) => {
+    budget--
+    const node = { ...describeObject(object), children: [] }
+
+    for (const child of object.children) {
+      if (budget <= 0) {
+        node.more = object.children.length - node.children.length
+        break
+      }
+      node.children.push(describe(child))
+    }
+
+    return node
+  }
+
+  return describe(scene)
+}
+
+/**
+ * Apply an edit from the inspector panel
+ * @param {THREE.Object3D} object
+ * @param {object} changes - Any of position, rotation, scale ([x, y, z]),
+ *   visible, color (hex number), metalness, roughness, intensity
+ */
+export const applyChanges = (object, changes) => {
+  if (changes.position) object.position.fromArray(changes.position)
+  if (changes.rotation) object.rotation.set(...changes.rotation)
+  if (changes.scale) object.scale.fromArray(changes.scale)
+  if (typeof changes.visible === 'boolean') object.visible = changes.visible
+
+  materialsOf(object).forEach((material) => {
+    if (typeof changes.color === 'number' && material.color) material.color.setHex(changes.color)
+    if (typeof changes.metalness === 'number' && 'metalness' in material) {
+      material.metalness = changes.metalness
+    }
+    if (typeof changes.roughness === 'number' && 'roughness' in material) {
+      material.roughness = changes.roughness
+    }
+  })
+
+  if (typeof changes.intensity === 'number' && object.isLight) {
+    object.intensity = changes.intensity
+  }
+}
+
+/**
+ * @param {THREE.Scene} scene - The user's scene
+ */
+export function createSceneInspector(scene) {
+  const overlay = new THREE.Scene()
+  let selected = null
+  let highlight = null
+
+  const findObject = (uuid) => scene.getObjectByProperty('uuid', uuid) || null
+
+  /**
+   * Highlight an object, or nothing when `uuid` is null or unknown
+   * @returns {boolean} Whether the object was found
+   */
+  const select = (uuid) => {
+    if (highlight) {
+      overlay.remove(highlight)
+      highlight.dispose()
+      highlight = null
+    }
+
+    selected = uuid ? findObject(uuid) : null
+    if (selected && selected !== scene) {
+      highlight = new THREE.BoxHelper(selected, HIGHLIGHT_COLOR)
+      overlay.add(highlight)
+    }
+    return !!selected
+  }
+
+  /**
+   * @returns {object|null} The object's new description, or null if it is
+   *   no longer in the scene
+   */
+  const update = (uuid, changes) => {
+    const object = findObject(uuid)
+    if (!object) return null
+    applyChanges(object, changes)
+    return describeObject(object)
+  }
+
+  /**
+   * Draw the highlight over the frame that was just rendered
+   */
+  const renderOverlay = (renderer, camera) => {
+    if (!highlight) return
+
+    // Follow the object if code or the panel moved it
+    highlight.update()
+    const autoClear = renderer.autoClear
+    renderer.autoClear = false
+    renderer.render(overlay, camera)
+    renderer.autoClear = autoClear
+  }
+
+  return {
+    describe: () => describeScene(scene),
+    select,
+    update,
+    renderOverlay,
+    // Objects of the previous run are gone; forget the selection
+    clear: () => select(null)
+  }
+}
@@ -0,0 +1,145 @@
+import * as THREE from 'three'
+
+/**
+ * What user code runs in: a scene with the default background and lights
+ * and a camera, plus the helpers that dispose, sample and serialize them.
+ *
+ * Shared by the sandbox iframe (./runtime.js) and the headless sandbox
+ * used from Node (./headlessRuntime.js), so both run code against the same
+ * starting point and report the same snapshots.
+ */
+
+const BACKGROUND_COLOR = 0x1a1a1a
+
+function createDefaultCamera(aspect) {
+  const camera = new THREE.PerspectiveCamera(75, aspect, 0.1, 1000)
+  camera.position.z = 5
+  return camera
+}
+
+function addDefaultLights(target) {
+  const ambientLight = new THREE.AmbientLight(0xffffff, 0.5)
+  target.add(ambientLight)
+
+  const directionalLight = new THREE.DirectionalLight(0xffffff, 0.5)
+  directionalLight.position.set(5, 5, 5)
+  target.add(directionalLight)
+}
+
+/**
+ * Give a scene the background and lights every run starts with
+ */
+export function resetStageScene(scene) {
+  scene.background = new THREE.Color(BACKGROUND_COLOR)
+  addDefaultLights(scene)
+}
+
+/**
+ * A fresh scene and camera, e.g. for a run on the virtual clock
+ * @param {number} aspect - Width over height of the view
+ * @returns {{ scene: THREE.Scene, camera: THREE.PerspectiveCamera }}
+ */
+export function createStage(aspect) {
+  const scene = new THREE.Scene()
+  resetStageScene(scene)
+  return { scene, camera: createDefaultCamera(aspect) }
+}
+
+/**
+ * Dispose a material and the textures it uses, including shader uniforms
+ */
+function disposeMaterial(material) {
+  const values = Object.values(material)
+  if (material.uniforms) {
+    values.push(...Object.values(material.uniforms).map((uniform) => uniform && uniform.value))
+  }
+
+  values.forEach((value) => {
+    if (value && value.isTexture) value.dispose()
+  })
+  material.dispose()
+}
+
+/**
+ * Dispose everything a run put into a scene
+ */
+export function disposeScene(target) {
+  target.traverse((object) => {
+    if (object.geometry) {
+      object.geometry.dispose()
+    }
+    if (object.material) {
+      if (Array.isArray(object.material)) {
+        object.material.forEach(disposeMaterial)
+      } else {
+        disposeMaterial(object.material)
+      }
+    }
+  })
+
+  // Textures set as the background or environment
+  if (target.background && target.background.isTexture) target.background.dispose()
+  if (target.environment && target.environment.isTexture) target.environment.dispose()
+}
+
+const toXYZ = (vector) => ({ x: vector.x, y: vector.y, z: vector.z })
+
+/**
+ * Local transforms and world position of every object in a scene, by uuid
+ */
+export function sampleTransforms(target) {
+  target.updateMatrixWorld()
+
+  const objects = {}
+  const worldPosition = new THREE.Vector3()
+  target.traverse((object) => {
+    if (object === target) return
+    objects[object.uuid] = {
+      position: toXYZ(object.position),
+      rotation: toXYZ(object.rotation),
+      scale: toXYZ(object.scale),
+      worldPosition: toXYZ(object.getWorldPosition(worldPosition))
+    }
+  })
+  return objects
+}
+
+/**
+ * Renderer settings user code commonly changes
+ */
+export function readRendererState(renderer) {
+  return {
+    shadowMap: { enabled: renderer.shadowMap.enabled, type: renderer.shadowMap.type },
+    toneMapping: renderer.toneMapping,
+    toneMappingExposure: renderer.toneMappingExposure,
+    outputColorSpace: renderer.outputColorSpace
+  }
+}
+
+export function applyRendererState(renderer, state) {
+  renderer.shadowMap.enabled = state.shadowMap.enabled
+  renderer.shadowMap.type = state.shadowMap.type
+  renderer.toneMapping = state.toneMapping
+  renderer.toneMappingExposure = state.toneMappingExposure
+  renderer.outputColorSpace = state.outputColorSpace
+}
+
+/**
+ * Serialize a scene so the host can rebuild it with THREE.ObjectLoader
+ */
+export function snapshotScene(scene, camera, renderer) {
+  try {
+    // Snapshots carry each object's matrix, which is stale until the next render
+    scene.updateMatrixWorld()
+    camera.updateMatrixWorld()
+    return {
+      scene: scene.toJSON(),
+      camera: camera.toJSON(),
+      // Renderer settings validators may check; the scene JSON has none
+      renderer: readRendererState(renderer)
+    }
+  } catch (error) {
+    console.warn('Failed to snapshot sandbox scene:', error)
+    return null
+  }
+}
@@ -0,0 +1,86 @@
+import { inspectValue, inspectTable, formatNumber } from './inspect'
+
+/**
+ * Console object handed to user code
+ *
+ * Instead of writing to the browser devtools (which students rarely
+ * open), every call is described with inspectValue() and passed to `emit`
+ * so the host can show it in the console panel.
+ *
+ * @param {(entry: object) => void} emit - Receives { level, args, table?, timestamp }
+ * @param {() => void} onClear - Called for console.clear()
+ * @param {() => number} now - Clock for console.time(), in milliseconds
+ */
+export function createUserConsole(emit, onClear, now = () => performance.now()) {
+  const timers = new Map()
+  const counters = new Map()
+
+  const write = (level, args, extra = {}) => {
+    emit({
+      level,
+      args: args.map((arg) => inspectValue(arg)),
+      timestamp: Date.now(),
+      ...extra
+    })
+  }
+
+  const elapsed = (label) => `${label}: ${formatNumber(now() - timers.get(label))} ms`
+
+  return {
+    log: (...args) => write('log', args),
+    info: (...args) => write('info', args),
+    debug: (...args) => write('debug', args),
+    warn: (...args) => write('warn', args),
+    error: (...args) => write('error', args),
+
+    assert: (condition, ...args) => {
+      if (!condition) write('error', ['Assertion failed:', ...args])
+    },
+
+    table: (data, columns) => {
+      const table = inspectTable(data, Array.isArray(columns) ? columns : null)
+      if (table) {
+        write('log', [], { table })
+      } else {
+        write('log', [data])
+      }
+    },
+
+    time: (label = 'default') => {
+      if (timers.has(label)) {
+        write('warn', [`Timer '${label}' already exists`])
+        return
+      }
+      timers.set(label, now())
+    },
+
+    timeLog: (label = 'default', ...args) => {
+      if (!timers.has(label)) {
+        write('warn', [`Timer '${label}' does not exist`])
+        return
+      }
+      write('log', [elapsed(label), ...args])
+    },
+
+    timeEnd: (label = 'default') => {
+      if (!timers.has(label)) {
+        write('warn', [`Timer '${label}' does not exist`])
+        return
+      }
+      write('log', [elapsed(label)])
+      timers.delete(label)
+    },
+
+    count: (label = 'default') => {
+      const count = (counters.get(label) || 0) + 1
+      counters.set(label, count)
+      write('log', [`${label}: ${count}`])
+    },
+
+    countReset: (label = 'default') => {
+      counters.delete(label)
+    },
+
+    clear: () => onClear()
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * Compile user code so that its stack frames can be traced to the editor
+ *
+ * The code is evaluated as a named script (`//# sourceURL=user-code.js`),
+ * which makes its frames easy to pick out of a stack that also contains
+ * three.js and runtime frames. It is wrapped in a function whose header
+ * takes exactly one line, so frame positions only need a fixed line offset
+ * to become positions in the (instrumented) code. Unlike `new Function`,
+ * that offset is the same in every browser.
+ */
+
+export const USER_CODE_URL = 'user-code.js'
+
+// Lines the wrapper puts in front of the user's first line
+const HEADER_LINES = 1
+
+const framePattern = () => /user-code\.js:(\d+):(\d+)/g
+
+/**
+ * Turn user code into a function taking the given parameter names
+ * @param {string} code - Instrumented user code
+ * @param {string[]} names - Parameter names, e.g. the keys of the safe context
+ * @returns {Function}
+ */
+export const compileUserCode = (code, names) => {
+  const source = `(function (${names.join(', ')}) {\n${code}\n})\n//# sourceURL=${USER_CODE_URL}`
+  // Indirect eval runs in the global scope, like new Function
+  return (0, eval)(source)
+}
+
+/**
+ * Rewrite user-code frames in a stack to positions relative to the code
+ * itself rather than the wrapper
+ */
+export const stripWrapperFromStack = (stack) => {
+  return stack.replace(framePattern(), (match, line, column) => {
+    return `${USER_CODE_URL}:${Number(line) - HEADER_LINES}:${column}`
+  })
+}
+
+/**
+ * Rewrite every user-code frame in a stack with a position mapper
+ *
+ * Positions with a `file` (in projects) name it instead of user-code.js.
+ * @param {(line: number, column: number) => { file?: string, line: number, column: number }} map
+ */
+export const mapStackPositions = (stack, map) => {
+  return stack.replace(framePattern(), (match, line, column) => {
+    const position = map(Number(line), Number(column))
+    return `${position.file || USER_CODE_URL}:${position.line}:${position.column}`
+  })
+}
+
+/**
+ * Position of the innermost user-code frame in a stack, skipping frames
+ * from three.js or the runtime
+ * @returns {{ line: number, column: number } | null}
+ */
+export const findUserFrame = (stack) => {
+  const match = stack ? framePattern().exec(stack) : null
+  return match ? { line: Number(match[1]), column: Number(match[2]) } : null
+}
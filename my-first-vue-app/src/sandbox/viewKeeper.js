@@ -0,0 +1,162 @@
+/**
+ * Keeps the student's view of the scene across re-runs
+ *
+ * Every run starts from the default camera, so the code always sees the
+ * same starting point. In hot-reload mode the live camera, orbit target
+ * and transforms of named objects are captured before the scene is
+ * cleared and put back afterwards, but only where the code's own effect
+ * did not change: if an edit moves the camera, the new camera position
+ * wins; if the edit was to a material, the orbit stays where it was.
+ */
+
+const DEFAULT_CAMERA_POSITION = [0, 0, 5]
+const DEFAULT_TARGET = [0, 0, 0]
+
+const EPSILON = 1e-6
+
+const sameNumbers = (a, b) => {
+  return a.length === b.length && a.every((value, index) => Math.abs(value - b[index]) < EPSILON)
+}
+
+const captureCamera = (camera, controls) => ({
+  position: camera.position.toArray(),
+  quaternion: camera.quaternion.toArray(),
+  lens: [camera.zoom, camera.fov],
+  target: controls.target.toArray()
+})
+
+const captureTransform = (object) => ({
+  position: object.position.toArray(),
+  quaternion: object.quaternion.toArray(),
+  scale: object.scale.toArray()
+})
+
+/**
+ * Named objects by name; names used more than once are left out because
+ * they cannot be matched between runs
+ */
+const namedObjects = (scene) => {
+  const objects = new Map()
+  const duplicates = new Set()
+
+  scene.traverse((object) => {
+    if (!object.name || object === scene) return
+    if (objects.has(object.name)) duplicates.add(object.name)
+    objects.set(object.name, object)
+  })
+
+  duplicates.forEach((name) => objects.delete(name))
+  return objects
+}
+
+const captureTransforms = (scene) => {
+  const transforms = new Map()
+  namedObjects(scene).forEach((object, name) => transforms.set(name, captureTransform(object)))
+  return transforms
+}
+
+const sameState = (a, b) => {
+  return !!a && !!b && Object.keys(a).every((key) => sameNumbers(a[key], b[key]))
+}
+
+/**
+ * @param {THREE.PerspectiveCamera} camera
+ * @param {OrbitControls} controls
+ */
+export function createViewKeeper(camera, controls) {
+  // Camera and transforms as the code left them after the last good run
+  let authoredCamera = null
+  let authoredTransforms = new Map()
+
+  const applyCamera = (state) => {
+    camera.position.fromArray(state.position)
+    camera.quaternion.fromArray(state.quaternion)
+    camera.zoom = state.lens[0]
+    camera.fov = state.lens[1]
+    camera.updateProjectionMatrix()
+    controls.target.fromArray(state.target)
+    controls.update()
+  }
+
+  /**
+   * Record what the student is looking at right now
+   */
+  const captureLive = (scene) => ({
+    camera: captureCamera(camera, controls),
+    transforms: captureTransforms(scene)
+  })
+
+  /**
+   * Put the camera where every run starts
+   */
+  const resetCamera = () => {
+    camera.position.fromArray(DEFAULT_CAMERA_POSITION)
+    camera.quaternion.identity()
+    camera.zoom = 1
+    camera.fov = 75
+    camera.updateProjectionMatrix()
+    controls.target.fromArray(DEFAULT_TARGET)
+  }
+
+  /**
+   * Called after a successful run
+   * @param {THREE.Scene} scene - Scene as the code built it
+   * @param {object|null} live - Result of captureLive() before the run, or
+   *   null to keep whatever the code set up
+   */
+  const afterRun = (scene, live) => {
+    const cameraState = captureCamera(camera, controls)
+    const objects = namedObjects(scene)
+    const transforms = new Map()
+    objects.forEach((object, name) => transforms.set(name, captureTransform(object)))
+
+    if (live) {
+      if (sameState(cameraState, authoredCamera)) {
+        applyCamera(live.camera)
+      } else {
+        controls.update()
+      }
+
+      objects.forEach((object, name) => {
+        const previous = live.transforms.get(name)
+        if (!previous || !sameState(transforms.get(name), authoredTransforms.get(name))) return
+        object.position.fromArray(previous.position)
+        object.quaternion.fromArray(previous.quaternion)
+        object.scale.fromArray(previous.scale)
+      })
+    } else {
+      controls.update()
+    }
+
+    authoredCamera = cameraState
+    authoredTransforms = transforms
+  }
+
+  /**
+   * Called after a failed run, so an error while live coding does not
+   * also throw away the student's view
+   */
+  const restoreCamera = (live) => {
+    applyCamera(live.camera)
+  }
+
+  /**
+   * Move the camera back to where the code put it
+   */
+  const resetView = () => {
+    if (authoredCamera) {
+      applyCamera(authoredCamera)
+    } else {
+      resetCamera()
+      controls.update()
+    }
+  }
+
+  return {
+    captureLive,
+    resetCamera,
+    afterRun,
+    restoreCamera,
+    resetView
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * Deterministic time for simulated runs
+ *
+ * A simulation runs user code against a clock that only moves when the
+ * runtime steps it, and a Math.random that is seeded, so the same code
+ * produces the same frames on every machine. The clock's timer functions
+ * have the shape of NativeTimers (see ./executionScope.js), so an execution
+ * scope can schedule onto it instead of the browser.
+ */
+
+// Date.now() at the start of every simulation: 2000-01-01T00:00:00Z
+const VIRTUAL_EPOCH = 946684800000
+
+// Timer callbacks run per step at most; a timeout that keeps scheduling
+// itself with no delay would otherwise never let the step end
+const MAX_TIMERS_PER_STEP = 1000
+
+/**
+ * Seeded pseudo-random numbers in [0, 1) (mulberry32)
+ * @param {number} seed - Any integer; the same seed gives the same sequence
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * A clock that starts at zero and advances one frame at a time
+ */
+export function createVirtualClock() {
+  let now = 0
+  let nextId = 1
+  // Timeouts and intervals by id: { callback, due, interval }
+  const timers = new Map()
+  let animationFrames = new Map()
+
+  const schedule = (callback, delay, interval) => {
+    const id = nextId++
+    timers.set(id, { callback, due: now + Math.max(0, Number(delay) || 0), interval })
+    return id
+  }
+
+  const cancel = (id) => {
+    timers.delete(id)
+  }
+
+  /**
+   * Run the timers that are due by `until`, earliest first
+   */
+  const runTimers = (until) => {
+    for (let count = 0; count < MAX_TIMERS_PER_STEP; count++) {
+      let dueId = null
+      let due = until
+      timers.forEach((timer, id) => {
+        if (timer.due <= due && (dueId === null || timer.due < due)) {
+          dueId = id
+          due = timer.due
+        }
+      })
+      if (dueId === null) return
+
+      const timer = timers.get(dueId)
+      now = Math.max(now, due)
+      if (timer.interval) {
+        // Never zero, or an interval would keep this loop busy forever
+        timer.due += Math.max(timer.interval, 1)
+      } else {
+        timers.delete(dueId)
+      }
+      timer.callback()
+    }
+  }
+
+  /**
+   * Move time forward and call what came due: timers first, then the
+   * animation frames requested before this step
+   * @param {number} ms - Milliseconds to advance
+   */
+  const advance = (ms) => {
+    const until = now + ms
+    runTimers(until)
+    now = until
+
+    const frames = animationFrames
+    animationFrames = new Map()
+    frames.forEach((callback) => callback(now))
+  }
+
+  return {
+    advance,
+    now: () => now,
+    // Date.now() of the simulated run
+    dateNow: () => VIRTUAL_EPOCH + now,
+    timers: {
+      requestAnimationFrame: (callback) => {
+        const id = nextId++
+        animationFrames.set(id, callback)
+        return id
+      },
+      cancelAnimationFrame: (id) => {
+        animationFrames.delete(id)
+      },
+      setTimeout: (callback, delay) => schedule(callback, delay, 0),
+      clearTimeout: cancel,
+      setInterval: (callback, delay) => schedule(callback, delay, Math.max(0, Number(delay) || 0)),
+      clearInterval: cancel
+    }
+  }
+}
+
+/**
+ * Point the realm's clocks and Math.random at a simulation until the
+ * returned function is called
+ * @param {ReturnType<typeof createVirtualClock>} clock
+ * @param {() => number} random - e.g. from createSeededRandom()
+ * @returns {() => void} Restores the native functions
+ */
+export function installVirtualGlobals(clock, random) {
+  const nativeRandom = Math.random
+  const nativeDateNow = Date.now
+  const hadOwnNow = Object.prototype.hasOwnProperty.call(performance, 'now')
+  const nativeNow = performance.now
+
+  Math.random = random
+  Date.now = clock.dateNow
+  // Shadows Performance.prototype.now; THREE.Clock reads this one
+  performance.now = clock.now
+
+  return () => {
+    Math.random = nativeRandom
+    Date.now = nativeDateNow
+    if (hadOwnNow) {
+      performance.now = nativeNow
+    } else {
+      delete performance.now
+    }
+  }
+}
@@ -0,0 +1,387 @@
+import { ref, readonly } from 'vue'
+
+/**
+ * Storage for the code users write
+ *
+ * Saved code lives in IndexedDB, which holds far more than localStorage's
+ * few megabytes. useCodePersistence reads synchronously, so everything is
+ * loaded into memory once, before the app mounts (initCodeStorage()), and
+ * writes update memory at once and IndexedDB in the background. Where
+ * IndexedDB is unavailable, e.g. in some private windows, or does not open
+ * in time, localStorage is used as before.
+ *
+ * localStorage also keeps a copy of everything, as far as it fits, so a
+ * session that falls back to it still opens the user's work. Keys changed
+ * during such a session are listed under PENDING_KEY and merged into the
+ * database the next time it opens; being the newest, they win.
+ *
+ * The database schema is versioned: MIGRATIONS[n] upgrades a database at
+ * version n to n + 1. The first time IndexedDB is used, code that earlier
+ * versions of the app saved in localStorage is imported.
+ *
+ * Problems the user should know about, such as a full quota, are reported
+ * through useStorageStatus().
+ */
+
+export const CODE_PREFIX = 'threejs_tutorial_code_'
+
+const DB_NAME = 'threejs_tutorial'
+const CODE_STORE = 'code'
+const META_STORE = 'meta'
+// Set in META_STORE once the localStorage entries have been imported
+const IMPORT_FLAG = 'localStorageImported'
+// localStorage key listing the keys changed while IndexedDB was not in use;
+// outside CODE_PREFIX so it is not taken for code
+const PENDING_KEY = 'threejs_tutorial_storage_pending'
+
+const MIGRATIONS = [
+  // 0 -> 1: saved code by storage key, and bookkeeping such as IMPORT_FLAG
+  (db) => {
+    db.createObjectStore(CODE_STORE)
+    db.createObjectStore(META_STORE)
+  }
+]
+
+export const SCHEMA_VERSION = MIGRATIONS.length
+
+// Warn when more of the origin's quota than this is in use
+const QUOTA_WARNING_RATIO = 0.9
+// What browsers commonly allow localStorage, in characters
+const LOCAL_STORAGE_LIMIT = 5 * 1024 * 1024
+// Minimum time between two quota checks
+const QUOTA_CHECK_INTERVAL = 30 * 1000
+// How long opening the database may take before localStorage is used instead
+const OPEN_TIMEOUT = 5000
+
+// Everything saved, by storage key
+const cache = new Map()
+let db = null
+let initPromise = null
+let lastQuotaCheck = 0
+
+// 'indexeddb' or 'localStorage'; localStorage until initCodeStorage() is done
+const backend = ref('localStorage')
+const warning = ref(null)
+
+const requestResult = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+const transactionDone = (transaction) => {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+/**
+ * Open the database, upgrading its schema if needed
+ *
+ * Rejects when the open is blocked (another tab still has an older version
+ * open) or takes longer than OPEN_TIMEOUT, so the app never waits on it
+ * forever. A connection that arrives after that is closed again.
+ */
+const openDatabase = () => {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, SCHEMA_VERSION)
+    let settled = false
+
+    const fail = (error) => {
+      if (settled) return
+      settled = true
+      clearTimeout(timeout)
+      reject(error)
+    }
+    const timeout = setTimeout(() => {
+      fail(new Error(`Opening IndexedDB took longer than ${OPEN_TIMEOUT / 1000} s`))
+    }, OPEN_TIMEOUT)
+
+    request.onupgradeneeded = (event) => {
+      for (let version = event.oldVersion; version < SCHEMA_VERSION; version++) {
+        MIGRATIONS[version](request.result, request.transaction)
+      }
+    }
+    request.onsuccess = () => {
+      if (settled) {
+        request.result.close()
+        return
+      }
+      settled = true
+      clearTimeout(timeout)
+      resolve(request.result)
+    }
+    request.onerror = () => fail(request.error)
+    request.onblocked = () => {
+      fail(new Error('IndexedDB is blocked by another tab running an older version of the app'))
+    }
+  })
+}
+
+const localStorageEntries = () => {
+  const entries = []
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i)
+    if (key && key.startsWith(CODE_PREFIX)) {
+      entries.push([key, localStorage.getItem(key)])
+    }
+  }
+  return entries
+}
+
+const readPendingKeys = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PENDING_KEY)) || []
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Remember that a key changed while saving to localStorage only
+ */
+const addPendingKey = (key) => {
+  const pending = readPendingKeys()
+  if (!pending.includes(key)) {
+    localStorage.setItem(PENDING_KEY, JSON.stringify([...pending, key]))
+  }
+}
+
+/**
+ * Bring localStorage changes into the database: every entry the first
+ * time, afterwards what changed during sessions on the localStorage fallback
+ */
+const importLocalStorage = async () => {
+  const imported = await requestResult(
+    db.transaction(META_STORE).objectStore(META_STORE).get(IMPORT_FLAG)
+  )
+  const pending = readPendingKeys()
+  if (imported && pending.length === 0) return
+
+  const transaction = db.transaction([CODE_STORE, META_STORE], 'readwrite')
+  const store = transaction.objectStore(CODE_STORE)
+  if (!imported) {
+    localStorageEntries().forEach(([key, value]) => store.put(value, key))
+    transaction.objectStore(META_STORE).put(new Date().toISOString(), IMPORT_FLAG)
+  }
+  pending.forEach((key) => {
+    const value = localStorage.getItem(key)
+    if (value === null) {
+      store.delete(key)
+    } else {
+      store.put(value, key)
+    }
+  })
+  await transactionDone(transaction)
+
+  // Only once the database has them
+  localStorage.removeItem(PENDING_KEY)
+}
+
+const loadDatabase = () => {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(CODE_STORE).objectStore(CODE_STORE).openCursor()
+    request.onsuccess = () => {
+      const cursor = request.result
+      if (!cursor) {
+        resolve()
+        return
+      }
+      cache.set(cursor.key, cursor.value)
+      cursor.continue()
+    }
+    request.onerror = () => reject(request.error)
+  })
+}
+
+const describeSize = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+
+/**
+ * Warn when the storage is nearly full, at most every QUOTA_CHECK_INTERVAL
+ */
+const checkQuota = async () => {
+  const now = Date.now()
+  if (now - lastQuotaCheck < QUOTA_CHECK_INTERVAL) return
+  lastQuotaCheck = now
+
+  try {
+    if (backend.value === 'localStorage') {
+      let length = 0
+      cache.forEach((value, key) => (length += key.length + value.length))
+      if (length > LOCAL_STORAGE_LIMIT * QUOTA_WARNING_RATIO) {
+        warning.value =
+          'Saved code has almost filled the browser storage. Delete old versions from the ' +
+          'history, or your next changes may not be saved.'
+      }
+      return
+    }
+
+    if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return
+    const { usage, quota } = await navigator.storage.estimate()
+    if (quota && usage / quota > QUOTA_WARNING_RATIO) {
+      warning.value =
+        `Browser storage is almost full (${describeSize(usage)} of ${describeSize(quota)}). ` +
+        'Delete old versions from the history, or your next changes may not be saved.'
+    }
+  } catch (error) {
+    console.warn('Failed to check the storage quota:', error)
+  }
+}
+
+const reportWriteError = (error) => {
+  console.warn('Failed to save code:', error)
+  warning.value =
+    error && error.name === 'QuotaExceededError'
+      ? 'Browser storage is full, so your latest changes were not saved. Delete old versions ' +
+        'from the history to make room.'
+      : `Your latest changes could not be saved: ${error ? error.message : 'unknown error'}`
+}
+
+/**
+ * Keep localStorage's copy up to date; it is a fallback, so running out of
+ * room there is not worth a warning
+ */
+const mirror = (key, value) => {
+  try {
+    if (value === null) {
+      localStorage.removeItem(key)
+    } else {
+      localStorage.setItem(key, value)
+    }
+  } catch {
+    // An outdated copy of this key is worse than none
+    try {
+      localStorage.removeItem(key)
+    } catch {
+      // localStorage is not usable at all
+    }
+  }
+}
+
+/**
+ * Bring localStorage's copy up to date with the database, e.g. for code
+ * saved before it kept one
+ */
+const syncMirror = () => {
+  try {
+    cache.forEach((value, key) => {
+      if (localStorage.getItem(key) !== value) mirror(key, value)
+    })
+  } catch (error) {
+    console.warn('Failed to copy code to localStorage:', error)
+  }
+}
+
+const persist = (key, value) => {
+  if (backend.value === 'indexeddb') {
+    mirror(key, value)
+    try {
+      const transaction = db.transaction(CODE_STORE, 'readwrite')
+      const store = transaction.objectStore(CODE_STORE)
+      if (value === null) {
+        store.delete(key)
+      } else {
+        store.put(value, key)
+      }
+      transactionDone(transaction).then(checkQuota, reportWriteError)
+    } catch (error) {
+      // e.g. the database was closed for an upgrade in another tab
+      reportWriteError(error)
+    }
+    return
+  }
+
+  try {
+    if (value === null) {
+      localStorage.removeItem(key)
+    } else {
+      localStorage.setItem(key, value)
+    }
+    addPendingKey(key)
+    checkQuota()
+  } catch (error) {
+    reportWriteError(error)
+  }
+}
+
+const useLocalStorage = () => {
+  backend.value = 'localStorage'
+  try {
+    localStorageEntries().forEach(([key, value]) => cache.set(key, value))
+  } catch (error) {
+    console.warn('Failed to load code from localStorage:', error)
+  }
+}
+
+/**
+ * Load everything saved, from IndexedDB or else from localStorage
+ *
+ * Call once before the app mounts; never rejects.
+ * @returns {Promise<void>}
+ */
+export function initCodeStorage() {
+  if (initPromise) return initPromise
+
+  initPromise = (async () => {
+    try {
+      if (typeof indexedDB === 'undefined') throw new Error('IndexedDB is not available')
+      db = await openDatabase()
+      // Let a newer version of the app, open in another tab, upgrade the schema
+      db.onversionchange = () => db.close()
+      await importLocalStorage()
+      await loadDatabase()
+      syncMirror()
+      backend.value = 'indexeddb'
+    } catch (error) {
+      console.warn('Failed to open IndexedDB, saving code in localStorage instead:', error)
+      if (db) db.close()
+      db = null
+      cache.clear()
+      useLocalStorage()
+      warning.value =
+        'The browser database could not be opened, so your code is saved in localStorage for ' +
+        'now, which holds less. It moves back into the database the next time it opens.'
+    }
+    await checkQuota()
+  })()
+  return initPromise
+}
+
+/**
+ * The saved value, or null, like localStorage.getItem()
+ */
+export const getItem = (key) => (cache.has(key) ? cache.get(key) : null)
+
+export const setItem = (key, value) => {
+  const text = String(value)
+  if (cache.get(key) === text) return
+  cache.set(key, text)
+  persist(key, text)
+}
+
+export const removeItem = (key) => {
+  if (!cache.has(key)) return
+  cache.delete(key)
+  persist(key, null)
+}
+
+/**
+ * All saved keys
+ */
+export const keys = () => [...cache.keys()]
+
+/**
+ * Where code is saved, and any problem with it the user should see
+ */
+export function useStorageStatus() {
+  return {
+    backend: readonly(backend),
+    warning: readonly(warning),
+    dismissWarning: () => {
+      warning.value = null
+    }
+  }
+}
@@ -0,0 +1,113 @@
+import Ajv from 'ajv'
+import schema from './workspace.schema.json'
+import { describeSchemaErrors } from '../challenges/challengeProblems'
+
+/**
+ * Workspace files: everything a learner saved, to take to another browser
+ *
+ * A file holds every saved code key (with the copies and version history
+ * kept next to the code) and the progress records. Importing one is
+ * planned first: each key is new, the same as what is saved here, or in
+ * conflict with it, and the learner picks which version of a conflicting
+ * key to keep before anything is written.
+ */
+
+export const WORKSPACE_FORMAT = 'threejs-tutorial-workspace'
+export const WORKSPACE_VERSION = 1
+
+const validate = new Ajv({ allErrors: true }).compile(schema)
+
+/**
+ * Build the file for what is saved
+ * @param {{ code: Object<string, string>, progress: object }} workspace - Code
+ *   by key, and the progress store's chapters, challenges and lastLocation
+ * @returns {object} Ready for JSON.stringify()
+ */
+export const createWorkspaceFile = ({ code, progress }) => ({
+  format: WORKSPACE_FORMAT,
+  version: WORKSPACE_VERSION,
+  exportedAt: new Date().toISOString(),
+  code,
+  progress: {
+    chapters: progress.chapters,
+    challenges: progress.challenges,
+    lastLocation: progress.lastLocation
+  }
+})
+
+/**
+ * What stops a workspace file from being imported
+ * @returns {string[]}
+ */
+export const findWorkspaceFileProblems = (data) => {
+  if (data && data.format === WORKSPACE_FORMAT && data.version > WORKSPACE_VERSION) {
+    return [`the file is from a newer version of the app (format version ${data.version})`]
+  }
+  return validate(data) ? [] : describeSchemaErrors(validate.errors)
+}
+
+/**
+ * Read a workspace file picked by the user
+ * @param {File} file
+ * @returns {Promise<object>} The parsed file
+ */
+export const readWorkspaceFile = async (file) => {
+  const text = await file.text()
+  try {
+    return JSON.parse(text)
+  } catch (error) {
+    throw new Error(`${file.name} is not a workspace file: ${error.message}`)
+  }
+}
+
+const isSame = (mine, theirs) => JSON.stringify(mine) === JSON.stringify(theirs)
+
+const compareEntries = (kind, mineByKey, theirsByKey) => {
+  return Object.entries(theirsByKey).map(([key, theirs]) => {
+    const mine = Object.hasOwn(mineByKey, key) ? mineByKey[key] : null
+    let status = 'conflict'
+    if (mine === null) status = 'new'
+    else if (isSame(mine, theirs)) status = 'same'
+    return { id: `${kind}:${key}`, kind, key, status, mine, theirs }
+  })
+}
+
+/**
+ * Compare a valid workspace file with what is saved here
+ * @param {object} data - A file without problems
+ * @param {{ code: Object<string, string>, progress: object }} current - What
+ *   is saved here, as for createWorkspaceFile()
+ * @returns {object[]} { id, kind, key, status, mine, theirs } per key, kind
+ *   being 'code', 'chapter' or 'challenge' and status 'new', 'same' or
+ *   'conflict'; mine is null for new keys
+ */
+export const planWorkspaceImport = (data, current) => [
+  ...compareEntries('code', current.code, data.code),
+  ...compareEntries('chapter', current.progress.chapters, data.progress.chapters),
+  ...compareEntries('challenge', current.progress.challenges, data.progress.challenges)
+]
+
+/**
+ * What to write for a plan: new keys, and conflicting ones where the
+ * learner took the file's version
+ * @param {object[]} plan - From planWorkspaceImport()
+ * @param {Object<string, 'mine'|'theirs'>} choices - By entry id
+ * @param {object|null} lastLocation - From the file; used when none is saved here
+ * @returns {{ code: object, chapters: object, challenges: object, lastLocation: object|null }}
+ */
+export const resolveWorkspaceImport = (plan, choices, lastLocation) => {
+  const changes = { code: {}, chapter: {}, challenge: {} }
+  plan
+    .filter((entry) => {
+      return (
+        entry.status === 'new' || (entry.status === 'conflict' && choices[entry.id] === 'theirs')
+      )
+    })
+    .forEach((entry) => (changes[entry.kind][entry.key] = entry.theirs))
+  return {
+    code: changes.code,
+    chapters: changes.chapter,
+    challenges: changes.challenge,
+    lastLocation
+  }
+}
@@ -0,0 +1,260 @@
+import { ref, computed, watch } from 'vue'
+import { defineStore } from 'pinia'
+import { useChallenges } from '../composables/useChallenges'
+import { scoreChallenge } from '../challenges/scoring'
+
+const STORAGE_KEY = 'threejs_tutorial_progress'
+const STORAGE_VERSION = 1
+
+/**
+ * Chapter number of a route path such as /chapter-8, or null
+ */
+export const chapterOfPath = (path) => {
+  const match = /^\/chapter-(\d+)$/.exec(path)
+  return match ? Number(match[1]) : null
+}
+
+const emptyProgress = () => ({ chapters: {}, challenges: {}, lastLocation: null })
+
+/**
+ * Load saved progress; anything unreadable starts over
+ */
+const loadProgress = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    if (!saved || saved.version !== STORAGE_VERSION) return emptyProgress()
+    return { ...emptyProgress(), ...saved }
+  } catch (error) {
+    console.warn('Failed to load progress from localStorage:', error)
+    return emptyProgress()
+  }
+}
+
+const saveProgress = (progress) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, ...progress }))
+  } catch (error) {
+    console.warn('Failed to save progress to localStorage:', error)
+  }
+}
+
+/**
+ * What the learner has done so far, kept in localStorage
+ *
+ * Chapters record visits and time spent, challenges record attempts,
+ * revealed hints and solution views, and the last chapter or challenge
+ * opened is remembered so the home page can offer to continue there.
+ */
+export const useProgressStore = defineStore('progress', () => {
+  const { chapters: challengeChapters } = useChallenges()
+  const saved = loadProgress()
+
+  // Chapter number -> { visits, firstVisitedAt, lastVisitedAt, timeSpent (ms) }
+  const chapters = ref(saved.chapters)
+  // Challenge id -> { chapter, startedAt, attempts, failedAttempts, passedAt,
+  //   hintsRevealed, solutionViews, scoreAtPass }
+  const challenges = ref(saved.challenges)
+  // { path, chapter, challengeId, at } of the last page or challenge opened
+  const lastLocation = ref(saved.lastLocation)
+
+  watch(
+    [chapters, challenges, lastLocation],
+    () => {
+      saveProgress({
+        chapters: chapters.value,
+        challenges: challenges.value,
+        lastLocation: lastLocation.value
+      })
+    },
+    // Saved right away, so time counted as the page is closed is kept
+    { deep: true, flush: 'sync' }
+  )
+
+  const chapterRecord = (number) => {
+    if (!chapters.value[number]) {
+      chapters.value[number] = {
+        visits: 0,
+        firstVisitedAt: null,
+        lastVisitedAt: null,
+        timeSpent: 0
+      }
+    }
+    return chapters.value[number]
+  }
+
+  const challengeRecord = (challenge) => {
+    if (!challenges.value[challenge.id]) {
+      challenges.value[challenge.id] = {
+        chapter: challenge.chapter,
+        startedAt: null,
+        attempts: 0,
+        failedAttempts: 0,
+        passedAt: null,
+        hintsRevealed: 0,
+        solutionViews: 0,
+        scoreAtPass: null
+      }
+    }
+    return challenges.value[challenge.id]
+  }
+
+  // The chapter being read right now and since when; not persisted
+  let timer = null
+
+  /**
+   * Count the time spent on the current chapter so far
+   */
+  const stopTimer = () => {
+    if (!timer) return
+    chapterRecord(timer.chapter).timeSpent += Date.now() - timer.since
+    timer = null
+  }
+
+  /**
+   * Start counting the time spent on a chapter, e.g. when the tab is shown again
+   */
+  const startTimer = (number) => {
+    stopTimer()
+    timer = { chapter: number, since: Date.now() }
+  }
+
+  /**
+   * Record a visit to a chapter page and start counting the time spent there
+   */
+  const visitChapter = (number, path) => {
+    const record = chapterRecord(number)
+    const now = new Date().toISOString()
+    record.visits++
+    record.firstVisitedAt ??= now
+    record.lastVisitedAt = now
+    // Chapter 13 remembers the challenge itself, see openChallenge()
+    if (!lastLocation.value || lastLocation.value.chapter !== number) {
+      lastLocation.value = { path, chapter: number, challengeId: null, at: now }
+    }
+    startTimer(number)
+  }
+
+  /**
+   * Remember the challenge that is open, to continue with it later; the
+   * first time also starts its clock for unlocking the solution
+   */
+  const openChallenge = (challenge, path) => {
+    const now = new Date().toISOString()
+    challengeRecord(challenge).startedAt ??= now
+    lastLocation.value = { path, chapter: chapterOfPath(path), challengeId: challenge.id, at: now }
+  }
+
+  /**
+   * Record a test run; a challenge stays passed once it has been, and keeps
+   * the score it was first passed with
+   */
+  const recordAttempt = (challenge, passed) => {
+    const record = challengeRecord(challenge)
+    record.attempts++
+    if (!passed) record.failedAttempts = (record.failedAttempts || 0) + 1
+    if (passed && !record.passedAt) {
+      record.passedAt = new Date().toISOString()
+      record.scoreAtPass = scoreChallenge(challenge, record)
+    }
+  }
+
+  const revealHints = (challenge, count) => {
+    const record = challengeRecord(challenge)
+    record.hintsRevealed = Math.max(record.hintsRevealed, count)
+  }
+
+  const viewSolution = (challenge) => {
+    challengeRecord(challenge).solutionViews++
+  }
+
+  const isChallengePassed = (id) => !!challenges.value[id]?.passedAt
+
+  const isChapterVisited = (number) => !!chapters.value[number]?.visits
+
+  /**
+   * How far along a chapter is: the share of its challenges passed, or
+   * whether it was visited when it has none. Chapter 13 holds the
+   * challenges of every chapter.
+   * @returns {{ passed: number, total: number, percent: number, complete: boolean }}
+   */
+  const chapterProgress = (number) => {
+    const list =
+      number === 13
+        ? challengeChapters.flatMap((chapter) => chapter.challenges)
+        : challengeChapters.find((chapter) => chapter.number === number)?.challenges || []
+    const passed = list.filter((challenge) => isChallengePassed(challenge.id)).length
+    const total = list.length
+    const visited = isChapterVisited(number) ? 100 : 0
+    const percent = total > 0 ? Math.round((passed / total) * 100) : visited
+    return { passed, total, percent, complete: percent === 100 }
+  }
+
+  const passedCount = computed(() => {
+    return Object.values(challenges.value).filter((record) => record.passedAt).length
+  })
+
+  /**
+   * A challenge's score so far, or null when it is not scored
+   * @returns {{ points: number, max: number, deductions: string[], passed: boolean }|null}
+   */
+  const challengeScore = (challenge) => {
+    const score = scoreChallenge(challenge, challenges.value[challenge.id])
+    return score && { ...score, passed: isChallengePassed(challenge.id) }
+  }
+
+  // Points earned by passed challenges, out of what all scored ones are worth
+  const totalScore = computed(() => {
+    return challengeChapters
+      .flatMap((chapter) => chapter.challenges)
+      .map(challengeScore)
+      .filter(Boolean)
+      .reduce(
+        (total, score) => ({
+          points: total.points + (score.passed ? score.points : 0),
+          max: total.max + score.max
+        }),
+        { points: 0, max: 0 }
+      )
+  })
+
+  /**
+   * Take the records of an imported workspace, replacing those of the same
+   * chapters and challenges; its last location only when there is none yet
+   */
+  const importRecords = (records) => {
+    Object.assign(chapters.value, records.chapters)
+    Object.assign(challenges.value, records.challenges)
+    lastLocation.value ??= records.lastLocation || null
+  }
+
+  /**
+   * Forget everything
+   */
+  const resetProgress = () => {
+    timer = null
+    chapters.value = {}
+    challenges.value = {}
+    lastLocation.value = null
+  }
+
+  return {
+    chapters,
+    challenges,
+    lastLocation,
+    passedCount,
+    totalScore,
+    visitChapter,
+    startTimer,
+    stopTimer,
+    openChallenge,
+    recordAttempt,
+    revealHints,
+    viewSolution,
+    isChallengePassed,
+    isChapterVisited,
+    chapterProgress,
+    challengeScore,
+    importRecords,
+    resetProgress
+  }
+})
@@ -1,14 +1,23 @@
 import { fileURLToPath, URL } from 'node:url'
 
-import { defineConfig } from 'vite'
+import { defineConfig, defaultAllowedOrigins } from 'vite'
 import vue from '@vitejs/plugin-vue'
 import vueDevTools from 'vite-plugin-vue-devtools'
+import validateChallenges from './plugins/validateChallenges'
+
+// The code sandbox iframe has an opaque origin, so its module scripts are
+// fetched with `Origin: null` and need CORS approval from the server
+const sandboxCors = {
+  origin: [defaultAllowedOrigins, 'null']
+}
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [
     vue(),
-    vueDevTools(),
+    // Inject the devtools overlay into the app entry only, not the sandbox page
+    vueDevTools({ appendTo: 'src/main.js' }),
+    validateChallenges(fileURLToPath(new URL('./src/challenges', import.meta.url))),
   ],
   resolve: {
     alias: {
@@ -18,5 +27,19 @@ export default defineConfig({
   assetsInclude: ['**/*.md'],
   optimizeDeps: {
     include: ['monaco-editor']
+  },
+  server: {
+    cors: sandboxCors
+  },
+  preview: {
+    cors: sandboxCors
+  },
+  build: {
+    rollupOptions: {
+      input: {
+        main: fileURLToPath(new URL('./index.html', import.meta.url)),
+        sandbox: fileURLToPath(new URL('./sandbox.html', import.meta.url))
+      }
+    }
   }
 })